@@ -6,20 +6,140 @@
 // It contains enough code that you can actually do some basic math with it.
 // But what else can you do with a parser?
 //
-// This file contains seven different applications of
+// This file contains thirteen different applications of
 // the calculator parser.
 //
 // [Try them out.](../calculator.html)
 
+// Applications can add operators to the language, using `registerOperator`
+// in calculator-parser.js. The back ends here only know how to handle the
+// operators that come with it, though, so when one of them finds a node it
+// doesn’t know what to do with, it throws this error.
+function unsupportedOperator(node, modeName) {
+    return errorAt(SyntaxError,
+                   "unsupported operator '" + operatorSymbol(node.type) + "' in " + modeName + " mode",
+                   node.loc);
+}
+
+// ## Walking the tree
+//
+// Each back end walks the tree, doing something different for each type of
+// node. To keep them all honest, they share this helper.
+// `makeVisitor(modeName, handlers)` returns a function `visit(node)`, which
+// calls the handler for `node.type` and returns what it returns. Handlers
+// call `visit` again on the parts of the node they care about.
+//
+// `handlers` has a method for each type of node. Types that are handled the
+// same way can share one, by listing them in one key separated by spaces,
+// like `"+ - * /"`. A back end that can’t do anything with some type says
+// so by giving it the handler `null`; it then throws the usual "unsupported
+// operator" error. (An `error` node, left by the parser when recovering from
+// a syntax error, throws that syntax error instead.) Optionally, a `default`
+// handler takes care of every type not listed.
+//
+// The list must be *exhaustive*: leaving a type out is a mistake in the back
+// end, not in the user’s input, so `makeVisitor` complains about it right
+// away. That way, when a new type of node is added to the language, every
+// back end that hasn’t been taught about it fails loudly, and each one needs
+// changing in just one place.
+function makeVisitor(modeName, handlers) {
+    var table = Object.create(null);
+    Object.keys(handlers).forEach(function (key) {
+        key.split(" ").forEach(function (type) {
+            if (type in table)
+                throw new Error(modeName + " mode has two handlers for '" + type + "' nodes");
+            table[type] = handlers[key];
+        });
+    });
+    if (!("default" in table)) {
+        builtinNodeTypes.forEach(function (type) {
+            if (!(type in table))
+                throw new Error(modeName + " mode doesn't say how to handle '" + type + "' nodes");
+        });
+    }
+
+    return function visit(node) {
+        var handler = node.type in table ? table[node.type] : table["default"];
+        if (!handler) {
+            if (node.type === "error")
+                throw errorAt(SyntaxError, node.message, node.loc);
+            throw unsupportedOperator(node, modeName);
+        }
+        return handler(node);
+    };
+}
+
+// These are all the types of node the parser can produce: the ones for
+// numbers, names, and statements, and the ones in the operator table. This
+// list is made once, when this file loads, so it only includes the
+// operators that come with the parser. Operators that an application
+// registers later are handled by each back end’s `default` handler, or else
+// rejected as unsupported.
+function allNodeTypes() {
+    var types = ["number", "name", "call", "if", "assign", "define", "program", "error"];
+    for (var symbol in operators) {
+        ["prefix", "infix", "postfix"].forEach(function (usage) {
+            var op = operators[symbol][usage];
+            if (op !== undefined && types.indexOf(op.type) === -1)
+                types.push(op.type);
+        });
+    }
+    return types;
+}
+
+var builtinNodeTypes = allNodeTypes();
+
+// Some back ends don’t need to handle each type of node separately; they
+// just want to look at every node in the tree. `forEachChild(node, f)`
+// calls `f` on each node directly inside `node`, in order.
+function forEachChild(node, f) {
+    var kids = [node.left, node.right, node.operand, node.expr, node.test,
+                node.consequent, node.alternate].concat(node.body || [], node.args || []);
+    for (var i = 0; i < kids.length; i++) {
+        if (kids[i] !== undefined)
+            f(kids[i]);
+    }
+}
+
+assert.deepEqual(builtinNodeTypes.slice(0, 8), ["number", "name", "call", "if", "assign", "define", "program", "error"]);
+assert(builtinNodeTypes.indexOf("neg") !== -1 && builtinNodeTypes.indexOf("factorial") !== -1);
+assert.strictEqual(builtinNodeTypes.filter(function (t) { return t === "^"; }).length, 1);
+assert.throws(function () { makeVisitor("test", {number: function () {}}); }, /doesn't say how to handle 'name' nodes/);
+assert.throws(function () { makeVisitor("test", {"name number": null, number: null}); }, /two handlers for 'number'/);
+(function () {
+    var count = makeVisitor("test", {
+        number: function () { return 1; },
+        "+": function (node) { return count(node.left) + count(node.right); },
+        error: null,
+        "default": null
+    });
+    assert.strictEqual(count(parse("1 + 2 + 3")), 3);
+    assert.throws(function () { count(parse("1 - 2")); }, /unsupported operator '-' in test mode/);
+    assert.throws(function () { count(parse("1 + ", [])); }, /expected a number/);
+})();
+
 // ## Code as data
 
+// Every back end takes its input as a string of code. It can also take a
+// tree that’s already been parsed, such as one read from one of the other
+// notations at the end of calculator-parser.js. `toAST` handles both.
+function toAST(code, diagnostics) {
+    return typeof code === "string" ? parse(code, diagnostics) : code;
+}
+
 // ### 1. Show the JSON
 //
 // Unmodified, the parser simply builds a tree describing the input
 // formula. This is called an abstract syntax tree, or AST.
 //
-function convertToJSON(code) {
-    return parse(code);
+// All the back ends take the same arguments, `code` and an `Environment`,
+// and this one doesn't need the environment. But since showing the tree is
+// useful even when the code has syntax errors, this one and `convertToDOM`
+// also take an optional array of `diagnostics`. If you pass one, they parse
+// in recovering mode, collecting all the errors there. Parts of the tree
+// that couldn't be parsed become `error` nodes.
+function convertToJSON(code, env, diagnostics) {
+    return toAST(code, diagnostics);
 }
 
 
@@ -42,27 +162,98 @@ function span(className, contents) {
     return e;
 }
 
-function convertToDOM(code) {
-    var fancyOperator = {
-        "+": "+",
-        "-": "\u2212",  // &minus;
-        "*": "\u00d7",  // &times;
-        "/": "\u00f7"   // &divide;
-    };
+// Scratch shows operators the way they’d be written on paper.
+var fancyOperator = {
+    "+": "+",
+    "-": "\u2212",  // &minus;
+    "*": "\u00d7",  // &times;
+    "/": "\u00f7",  // &divide;
+    "^": "^",
+    "<": "<",
+    "<=": "\u2264", // &le;
+    ">": ">",
+    ">=": "\u2265", // &ge;
+    "==": "=",
+    "!=": "\u2260"  // &ne;
+};
 
-    function convert(obj) {
-        switch (obj.type) {
-        case "number":
+function convertToDOM(code, env, diagnostics) {
+
+    var convert = makeVisitor("Scratch", {
+        number: function (obj) {
             return span("num", [obj.value]);
-        case "+": case "-": case "*": case "/":
+        },
+        "+ - * / ^": function (obj) {
+            // `2x` is shown as two blocks side by side, with no operator.
+            if (obj.implicit)
+                return span("expr", [convert(obj.left), convert(obj.right)]);
             return span("expr", [convert(obj.left),
                                  fancyOperator[obj.type],
                                  convert(obj.right)]);
-        case "name":
+        },
+        neg: function (obj) {
+            return span("expr", [fancyOperator["-"], convert(obj.operand)]);
+        },
+        pos: function (obj) {
+            return span("expr", [fancyOperator["+"], convert(obj.operand)]);
+        },
+        factorial: function (obj) {
+            return span("expr", [convert(obj.operand), "!"]);
+        },
+        percent: function (obj) {
+            return span("expr", [convert(obj.operand), "%"]);
+        },
+        "< <= > >= == !=": function (obj) {
+            return span("bool", [convert(obj.left),
+                                 fancyOperator[obj.type],
+                                 convert(obj.right)]);
+        },
+        "and or": function (obj) {
+            return span("bool", [convert(obj.left), obj.type, convert(obj.right)]);
+        },
+        not: function (obj) {
+            return span("bool", ["not", convert(obj.operand)]);
+        },
+        "if": function (obj) {
+            return span("if", ["if", convert(obj.test),
+                               "then", convert(obj.consequent),
+                               "else", convert(obj.alternate)]);
+        },
+        name: function (obj) {
             return span("var", [obj.id]);
+        },
+        assign: function (obj) {
+            return span("assign", ["set", span("var", [obj.id]), "to", convert(obj.expr)]);
+        },
+        define: function (obj) {
+            var contents = ["define", obj.id];
+            for (var i = 0; i < obj.params.length; i++)
+                contents.push(span("var", [obj.params[i]]));
+            contents.push("as", convert(obj.body));
+            return span("define", contents);
+        },
+        call: function (obj) {
+            var contents = [obj.id];
+            for (var i = 0; i < obj.args.length; i++) {
+                if (i > 0)
+                    contents.push(",");
+                contents.push(convert(obj.args[i]));
+            }
+            return span("call", contents);
+        },
+        program: function (obj) {
+            // A program is a stack of blocks, like a Scratch script.
+            return span("program", obj.body.map(convert));
+        },
+        error: function (obj) {
+            // Part of the program that couldn't be parsed shows up as an empty
+            // red slot. Hovering over it shows what went wrong.
+            var e = span("error", ["?"]);
+            e.title = obj.message;
+            return e;
         }
-    }
-    return convert(parse(code));
+    });
+    return convert(toAST(code, diagnostics));
 }
 
 
@@ -100,7 +291,7 @@ function make(name, precedence, contents) {
                 && (kid.prec < precedence
                     || (kid.prec == precedence && i != 0)))
             {
-                kid = make("mrow", null, [mo("("), kid, mo(")")]);
+                kid = parenthesize(kid);
             }
             node = kid.element;
         }
@@ -111,63 +302,1203 @@ function make(name, precedence, contents) {
     return {prec: precedence, element: e};
 }
 
+function parenthesize(kid) {
+    return make("mrow", null, [mo("("), kid, mo(")")]);
+}
+
+// Numbers in scientific notation, like `6.02e23`, are shown the way you’d
+// write them on paper: 6.02 × 10<sup>23</sup>.
+//
+// Numbers in other bases are shown with the base as a subscript, the way
+// math books do it: ff<sub>16</sub>. Underscores between digits are shown
+// as thin spaces: 1 000 000.
+function makeNumber(s) {
+    var radix = splitNumber(s).radix;
+    s = s.replace(/_/g, "\u2009");  // &thinsp;
+    if (radix !== 10)
+        return make("msub", null, [make("mn", 3, [s.slice(2)]), make("mn", 3, [String(radix)])]);
+    var parts = s.split(/[eE]/);
+    if (parts.length === 1)
+        return make("mn", 3, [s]);
+    var exponent = parts[1].replace(/^\+/, "").replace(/^-/, "\u2212");
+    return make("mrow", 2, [make("mn", 3, [parts[0]]),
+                            make("mo", 3, ["\u00d7"]),
+                            make("msup", null, [make("mn", 3, ["10"]),
+                                                make("mn", 3, [exponent])])]);
+}
+
+// The precedences of the different kinds of MathML rows are: 3 for numbers,
+// names, and anything else that never needs parentheses; 2.75 for postfix
+// operators, like `n!`; 2.5 for implicit multiplication, like `2x`; 2 for
+// other multiplication and unary minus; 1
+// for addition and subtraction; 0 for comparisons; and then less than zero
+// for the logical operators and conditionals, which bind more loosely still.
+var logicalPrecedence = {not: -1, and: -2, or: -3, "if": -4};
+
+// True if the formula for `obj` starts with a number. (A fraction doesn’t:
+// it starts with a fraction bar.)
+function startsWithNumber(obj) {
+    while (obj.left !== undefined && obj.type !== "/")
+        obj = obj.left;
+    return obj.type === "number";
+}
+
 function convertToMathML(code) {
-    function convert(obj) {
-        switch (obj.type) {
-        case "number":
-            return make("mn", 3, [obj.value]);
-        case "name":
+    // Show a function applied to some arguments, like *f*(*x*, 2).
+    // U+2061 FUNCTION APPLICATION is an invisible operator that tells the
+    // renderer `sin` is being applied to what follows.
+    function apply(id, args) {
+        var contents = [mo("(")];
+        for (var i = 0; i < args.length; i++) {
+            if (i > 0)
+                contents.push(mo(","));
+            contents.push(args[i]);
+        }
+        contents.push(mo(")"));
+        return make("mrow", null, [make("mi", 3, [id]),
+                                   make("mo", 3, ["\u2061"]),
+                                   make("mrow", null, contents)]);
+    }
+
+    var convert = makeVisitor("MathML", {
+        number: function (obj) {
+            return makeNumber(obj.value);
+        },
+        name: function (obj) {
             return make("mi", 3, [obj.id]);
-        case "+":
-            return make("mrow", 1, [convert(obj.left),
-                                    make("mo", 3, ["+"]),
-                                    convert(obj.right)]);
-        case "-":
+        },
+        "+ -": function (obj) {
             return make("mrow", 1, [convert(obj.left),
-                                    make("mo", 3, ["-"]),
+                                    make("mo", 3, [obj.type]),
                                     convert(obj.right)]);
-        case "*":
+        },
+        "*": function (obj) {
+            // Show multiplication the way it was typed: `2*x` as 2 × *x*,
+            // and `2x` as 2*x*, with U+2062 INVISIBLE TIMES between the
+            // factors. Some care is needed when the second factor starts with
+            // a digit: `(3)(2)` must not come out looking like 32. And `-2x`
+            // is parsed as (−2)*x*, but shown as −2*x*, which then needs
+            // parentheses wherever −*x* would.
+            if (obj.implicit) {
+                var signed = obj.left.type === "neg" || obj.left.type === "pos";
+                var left = convert(obj.left), right = convert(obj.right);
+                if (left.prec < 2.5 && !signed)
+                    left = parenthesize(left);
+                if (right.prec <= 2.5 || startsWithNumber(obj.right))
+                    right = parenthesize(right);
+                var product = make("mrow", null, [left, make("mo", 3, ["\u2062"]), right]);
+                product.prec = signed ? 2 : 2.5;
+                return product;
+            }
             return make("mrow", 2, [convert(obj.left),
+                                    make("mo", 3, ["\u00d7"]),
                                     convert(obj.right)]);
-        case "/":
+        },
+        "/": function (obj) {
             return make("mfrac", null, [convert(obj.left), convert(obj.right)]);
+        },
+        "^": function (obj) {
+            // The exponent is set off by its position, so it never needs
+            // parentheses. The base needs them unless it’s a single number
+            // or name.
+            var base = convert(obj.left);
+            if (base.prec < 3 || obj.left.type === "^")
+                base = parenthesize(base);
+            return make("msup", null, [base, convert(obj.right)]);
+        },
+        neg: function (obj) {
+            return make("mrow", 2, [make("mo", 3, ["\u2212"]),
+                                    convert(obj.operand)]);
+        },
+        pos: function (obj) {
+            return make("mrow", 2, [make("mo", 3, ["+"]),
+                                    convert(obj.operand)]);
+        },
+        "factorial percent": function (obj) {
+            // The operand needs parentheses unless it’s a single number or
+            // name, as in (*n* − *k*)!. The result needs them as the base of
+            // a power, (*n*!)<sup>2</sup>, or the operand of another
+            // postfix operator.
+            var operand = convert(obj.operand);
+            if (operand.prec < 3)
+                operand = parenthesize(operand);
+            var postfix = make("mrow", null, [operand,
+                                              make("mo", 3, [obj.type === "factorial" ? "!" : "%"])]);
+            postfix.prec = 2.75;
+            return postfix;
+        },
+        "< <= > >= == !=": function (obj) {
+            // Comparisons don’t chain, so `(a < b) == c` keeps its parentheses.
+            var symbol = {"<": "<", "<=": "\u2264", ">": ">", ">=": "\u2265", "==": "=", "!=": "\u2260"};
+            var left = convert(obj.left);
+            if (left.prec === 0)
+                left = parenthesize(left);
+            return make("mrow", 0, [left,
+                                    make("mo", 3, [symbol[obj.type]]),
+                                    convert(obj.right)]);
+        },
+        "and or": function (obj) {
+            return make("mrow", logicalPrecedence[obj.type],
+                        [convert(obj.left),
+                         make("mo", 3, [obj.type === "and" ? "\u2227" : "\u2228"]),  // &and; &or;
+                         convert(obj.right)]);
+        },
+        not: function (obj) {
+            return make("mrow", logicalPrecedence.not, [make("mo", 3, ["\u00ac"]),  // &not;
+                                                        convert(obj.operand)]);
+        },
+        "if": function (obj) {
+            // A conditional is shown as a function defined piecewise:
+            // a big brace, then a table with one row for each case.
+            // Conditionals in the `else` part just add more cases.
+            var rows = [];
+            for (var node = obj; node.type === "if"; node = node.alternate) {
+                rows.push(make("mtr", null, [
+                    make("mtd", null, [convert(node.consequent)]),
+                    make("mtd", null, [make("mtext", 3, ["if\u00a0"]), convert(node.test)])
+                ]));
+            }
+            rows.push(make("mtr", null, [
+                make("mtd", null, [convert(node)]),
+                make("mtd", null, [make("mtext", 3, ["otherwise"])])
+            ]));
+            var cases = make("mtable", null, rows);
+            cases.element.setAttribute("columnalign", "left");
+            return make("mrow", logicalPrecedence["if"], [mo("{"), cases]);
+        },
+        assign: function (obj) {
+            return make("mrow", null, [make("mi", 3, [obj.id]),
+                                       make("mo", 3, ["="]),
+                                       convert(obj.expr)]);
+        },
+        define: function (obj) {
+            var params = obj.params.map(function (p) { return make("mi", 3, [p]); });
+            return make("mrow", null, [apply(obj.id, params),
+                                       make("mo", 3, ["="]),
+                                       convert(obj.body)]);
+        },
+        call: function (obj) {
+            return apply(obj.id, obj.args.map(convert));
+        },
+        program: function (obj) {
+            // One statement per row of a table.
+            return make("mtable", null, obj.body.map(function (statement) {
+                return make("mtr", null, [make("mtd", null, [convert(statement)])]);
+            }));
+        },
+        error: null
+    });
+    var e = convert(toAST(code));
+    return make("math", null, [e]);
+}
+
+
+// ### 4. LaTeX output
+//
+// MathML is only good in a browser. To paste a formula into a paper or a
+// slide, what you want is LaTeX. The code for that follows the MathML code
+// closely. Each piece of LaTeX is an object `{prec, text}`, with a
+// precedence that works exactly as in MathML mode.
+
+// `tex(precedence, contents)` is the LaTeX version of `make`. `contents` is
+// an array of strings, which are copied as is, and pieces built by earlier
+// calls, which get parentheses if they need them.
+function tex(precedence, contents) {
+    var text = "";
+    for (var i = 0; i < contents.length; i++) {
+        var kid = contents[i];
+        if (typeof kid !== "string") {
+            if (precedence !== null
+                && (kid.prec < precedence
+                    || (kid.prec == precedence && i != 0)))
+            {
+                kid = texParenthesize(kid);
+            }
+            kid = kid.text;
         }
+        // A command like `\pi` needs a space after it if a letter follows,
+        // or TeX would read `\pix`.
+        if (/\\[A-Za-z]+$/.test(text) && /^[A-Za-z]/.test(kid))
+            text += " ";
+        text += kid;
+    }
+    return {prec: precedence === null ? 3 : precedence, text: text};
+}
+
+function texParenthesize(kid) {
+    return tex(null, ["\\left(", kid, "\\right)"]);
+}
+
+// Numbers look the same as in MathML mode: 6.02 × 10<sup>23</sup>,
+// ff<sub>16</sub>, 1 000 000.
+function texNumber(s) {
+    var radix = splitNumber(s).radix;
+    s = s.replace(/_/g, "\\,");
+    if (radix !== 10)
+        return tex(null, ["\\mathrm{" + s.slice(2) + "}_{" + radix + "}"]);
+    var parts = s.split(/[eE]/);
+    if (parts.length === 1)
+        return tex(null, [s]);
+    return tex(2, [parts[0], " \\times 10^{" + parts[1].replace(/^\+/, "") + "}"]);
+}
+
+// A name that’s one letter is written as is, in italics. `pi` and the other
+// Greek letters get their symbols, and other longer names are italic words,
+// so that `rate` doesn’t look like *r* × *a* × *t* × *e*.
+var greekLetters = ["alpha", "beta", "gamma", "delta", "epsilon", "zeta", "eta", "theta", "iota",
+                    "kappa", "lambda", "mu", "nu", "xi", "pi", "rho", "sigma", "tau", "upsilon",
+                    "phi", "chi", "psi", "omega"];
+
+function texName(id) {
+    if (id.length === 1)
+        return id;
+    if (greekLetters.indexOf(id) !== -1)
+        return "\\" + id;
+    return "\\mathit{" + id + "}";
+}
+
+function convertToLaTeX(code) {
+    // LaTeX has commands for most of the built-in functions.
+    var texFunctions = {sin: "\\sin", cos: "\\cos", exp: "\\exp", log: "\\log"};
+
+    function apply(id, args) {
+        var name = texFunctions[id] || (id.length === 1 ? id : "\\operatorname{" + id + "}");
+        var contents = [name, "\\left("];
+        for (var i = 0; i < args.length; i++) {
+            if (i > 0)
+                contents.push(", ");
+            contents.push(args[i]);
+        }
+        contents.push("\\right)");
+        return tex(null, contents);
+    }
+
+    var comparisonSymbol = {"<": " < ", "<=": " \\le ", ">": " > ", ">=": " \\ge ", "==": " = ", "!=": " \\ne "};
+
+    var convert = makeVisitor("LaTeX", {
+        number: function (obj) {
+            return texNumber(obj.value);
+        },
+        name: function (obj) {
+            return tex(null, [texName(obj.id)]);
+        },
+        "+ -": function (obj) {
+            return tex(1, [convert(obj.left), " " + obj.type + " ", convert(obj.right)]);
+        },
+        "*": function (obj) {
+            // As in MathML mode, `2x` is written 2*x*, by juxtaposition, and
+            // `2*x` as 2 · *x*.
+            if (obj.implicit) {
+                var signed = obj.left.type === "neg" || obj.left.type === "pos";
+                var left = convert(obj.left), right = convert(obj.right);
+                if (left.prec < 2.5 && !signed)
+                    left = texParenthesize(left);
+                if (right.prec <= 2.5 || startsWithNumber(obj.right))
+                    right = texParenthesize(right);
+                var product = tex(null, [left, right]);
+                product.prec = signed ? 2 : 2.5;
+                return product;
+            }
+            return tex(2, [convert(obj.left), " \\cdot ", convert(obj.right)]);
+        },
+        "/": function (obj) {
+            return tex(null, ["\\frac{", convert(obj.left).text, "}{", convert(obj.right).text, "}"]);
+        },
+        "^": function (obj) {
+            // A fraction as the base needs parentheses here, unlike in
+            // MathML, or the exponent looks like it belongs to the
+            // denominator. And the base needs braces, unless it’s just a
+            // number, a letter, or a command like `\pi`.
+            var base = convert(obj.left);
+            if (base.prec < 3 || obj.left.type === "^" || obj.left.type === "/")
+                base = texParenthesize(base);
+            var baseText = /^([0-9.]+|[A-Za-z]|\\[A-Za-z]+)$/.test(base.text) ? base.text : "{" + base.text + "}";
+            return tex(null, [baseText, "^{", convert(obj.right).text, "}"]);
+        },
+        neg: function (obj) {
+            return tex(2, ["-", convert(obj.operand)]);
+        },
+        pos: function (obj) {
+            return tex(2, ["+", convert(obj.operand)]);
+        },
+        "factorial percent": function (obj) {
+            var operand = convert(obj.operand);
+            if (operand.prec < 3)
+                operand = texParenthesize(operand);
+            var postfix = tex(null, [operand, obj.type === "factorial" ? "!" : "\\%"]);
+            postfix.prec = 2.75;
+            return postfix;
+        },
+        "< <= > >= == !=": function (obj) {
+            var left = convert(obj.left);
+            if (left.prec === 0)
+                left = texParenthesize(left);
+            return tex(0, [left, comparisonSymbol[obj.type], convert(obj.right)]);
+        },
+        "and or": function (obj) {
+            return tex(logicalPrecedence[obj.type],
+                       [convert(obj.left), obj.type === "and" ? " \\land " : " \\lor ", convert(obj.right)]);
+        },
+        not: function (obj) {
+            return tex(logicalPrecedence.not, ["\\lnot ", convert(obj.operand)]);
+        },
+        "if": function (obj) {
+            // LaTeX has an environment just for functions defined piecewise.
+            var rows = [];
+            for (var node = obj; node.type === "if"; node = node.alternate)
+                rows.push(convert(node.consequent).text + " & \\text{if } " + convert(node.test).text);
+            rows.push(convert(node).text + " & \\text{otherwise}");
+            return tex(null, ["\\begin{cases} " + rows.join(" \\\\ ") + " \\end{cases}"]);
+        },
+        assign: function (obj) {
+            return tex(null, [texName(obj.id), " = ", convert(obj.expr)]);
+        },
+        define: function (obj) {
+            var params = obj.params.map(function (p) { return tex(null, [texName(p)]); });
+            return tex(null, [apply(obj.id, params), " = ", convert(obj.body)]);
+        },
+        call: function (obj) {
+            var args = obj.args.map(convert);
+            if (obj.id === "sqrt")
+                return tex(null, ["\\sqrt{", args[0].text, "}"]);
+            if (obj.id === "abs")
+                return tex(null, ["\\left|", args[0], "\\right|"]);
+            return apply(obj.id, args);
+        },
+        program: function (obj) {
+            // One statement per line.
+            var lines = obj.body.map(function (statement) { return convert(statement).text; });
+            return tex(null, ["\\begin{array}{l} " + lines.join(" \\\\ ") + " \\end{array}"]);
+        },
+        error: null
+    });
+    return convert(toAST(code)).text;
+}
+
+assert.strictEqual(convertToLaTeX("(1 + 2) / 3"), "\\frac{1 + 2}{3}");
+assert.strictEqual(convertToLaTeX("2x + 3 * (y - 1)"), "2x + 3 \\cdot \\left(y - 1\\right)");
+assert.strictEqual(convertToLaTeX("(3)(2) + 2pi r"), "3\\left(2\\right) + 2\\pi r");
+assert.strictEqual(convertToLaTeX("-2^2 + (-2)^2 + 2^3^4 + (1/2)^pi"),
+                   "-2^{2} + {\\left(-2\\right)}^{2} + 2^{3^{4}} + {\\left(\\frac{1}{2}\\right)}^{\\pi}");
+assert.strictEqual(convertToLaTeX("(a - b) - (c - d)"), "a - b - \\left(c - d\\right)");
+assert.strictEqual(convertToLaTeX("sqrt(abs(x)) + sin(x)^2 + rate"),
+                   "\\sqrt{\\left|x\\right|} + {\\sin\\left(x\\right)}^{2} + \\mathit{rate}");
+assert.strictEqual(convertToLaTeX("n!/(k!(n-k)!) + 15%"), "\\frac{n!}{k!\\left(n - k\\right)!} + 15\\%");
+assert.strictEqual(convertToLaTeX("6.02e23 * 0xff + 1_000"), "6.02 \\times 10^{23} \\cdot \\mathrm{ff}_{16} + 1\\,000");
+assert.strictEqual(convertToLaTeX("x < 0 ? -1 : x > 0 and not x >= 1 ? 1 : 0"),
+                   "\\begin{cases} -1 & \\text{if } x < 0 \\\\ 1 & \\text{if } x > 0 \\land \\lnot x \\ge 1 \\\\ 0 & \\text{otherwise} \\end{cases}");
+assert.strictEqual(convertToLaTeX("f(x, y) = x y\nr = f(2, 3)"),
+                   "\\begin{array}{l} f\\left(x, y\\right) = xy \\\\ r = f\\left(2, 3\\right) \\end{array}");
+
+
+// ### 5. Tree diagrams
+//
+// The JSON output shows the whole tree, but for a big expression, it’s a
+// lot to read. A picture is better: each node is a box, with lines down to
+// the boxes for its parts, and the boxes are colored the way Scratch mode
+// colors its blocks.
+//
+// There are two ways to get the picture. `convertToDOT` writes a
+// description of it in the DOT language, for Graphviz to draw.
+// `convertToSVGTree` draws it right away, as SVG, with no other tools.
+
+// The colors of the boxes, matching the Scratch blocks in calculator.html.
+var treeColors = {
+    num:     {fill: "white",   stroke: "#999999", text: "black"},
+    "var":   {fill: "#ff8833", stroke: "#ff8833", text: "black"},
+    expr:    {fill: "green",   stroke: "#339933", text: "white"},
+    bool:    {fill: "green",   stroke: "#339933", text: "white"},
+    "if":    {fill: "#ffab19", stroke: "#cf8b17", text: "white"},
+    call:    {fill: "#9966ff", stroke: "#774dcb", text: "white"},
+    assign:  {fill: "#ff8c1a", stroke: "#db6e00", text: "white"},
+    define:  {fill: "#ff6680", stroke: "#ff3355", text: "white"},
+    program: {fill: "white",   stroke: "black",   text: "black"},
+    error:   {fill: "red",     stroke: "#990000", text: "white"}
+};
+
+// Both back ends start by boiling the AST down to just what the picture
+// needs: for each node, a `label`, its `color` (a key in `treeColors`),
+// and its `kids`.
+function syntaxTree(ast) {
+    function box(label, color, kids) {
+        return {label: label, color: color, kids: kids.map(convert)};
+    }
+
+    var convert = makeVisitor("tree", {
+        number: function (obj) { return box(obj.value, "num", []); },
+        name: function (obj) { return box(obj.id, "var", []); },
+        "+ - * / ^": function (obj) {
+            return box(obj.implicit ? "(implicit) \u00d7" : fancyOperator[obj.type], "expr", [obj.left, obj.right]);
+        },
+        neg: function (obj) { return box(fancyOperator["-"], "expr", [obj.operand]); },
+        pos: function (obj) { return box("+", "expr", [obj.operand]); },
+        factorial: function (obj) { return box("!", "expr", [obj.operand]); },
+        percent: function (obj) { return box("%", "expr", [obj.operand]); },
+        "< <= > >= == !=": function (obj) { return box(fancyOperator[obj.type], "bool", [obj.left, obj.right]); },
+        "and or": function (obj) { return box(obj.type, "bool", [obj.left, obj.right]); },
+        not: function (obj) { return box("not", "bool", [obj.operand]); },
+        "if": function (obj) { return box("if", "if", [obj.test, obj.consequent, obj.alternate]); },
+        call: function (obj) { return box(obj.id + "()", "call", obj.args); },
+        assign: function (obj) { return box("set " + obj.id, "assign", [obj.expr]); },
+        define: function (obj) { return box("define " + obj.id + "(" + obj.params.join(", ") + ")", "define", [obj.body]); },
+        program: function (obj) { return box("program", "program", obj.body); },
+        error: function (obj) { return box("?", "error", []); }
+    });
+    return convert(ast);
+}
+
+// Each node becomes a DOT node named `n0`, `n1`, and so on, and each line
+// becomes an edge, `n0 -> n1`.
+function convertToDOT(code) {
+    var lines = [
+        "digraph AST {",
+        "    node [shape=box, style=\"rounded,filled\", fontname=\"Helvetica\"];"
+    ];
+    var count = 0;
+
+    function quote(s) {
+        return "\"" + s.replace(/["\\]/g, "\\$&") + "\"";
+    }
+
+    function emit(node) {
+        var id = "n" + count++;
+        var color = treeColors[node.color];
+        lines.push("    " + id + " [label=" + quote(node.label) +
+                   ", fillcolor=" + quote(color.fill) +
+                   ", color=" + quote(color.stroke) +
+                   ", fontcolor=" + quote(color.text) + "];");
+        node.kids.forEach(function (kid) {
+            lines.push("    " + id + " -> n" + count + ";");
+            emit(kid);
+        });
+    }
+
+    emit(syntaxTree(toAST(code)));
+    lines.push("}");
+    return lines.join("\n");
+}
+
+assert.strictEqual(convertToDOT("-x"), [
+    "digraph AST {",
+    "    node [shape=box, style=\"rounded,filled\", fontname=\"Helvetica\"];",
+    "    n0 [label=\"\u2212\", fillcolor=\"green\", color=\"#339933\", fontcolor=\"white\"];",
+    "    n0 -> n1;",
+    "    n1 [label=\"x\", fillcolor=\"#ff8833\", color=\"#ff8833\", fontcolor=\"black\"];",
+    "}"
+].join("\n"));
+assert.deepEqual(convertToDOT("f(x) = x^2; f(3) < 10").match(/n\d+ -> n\d+/g),
+                 ["n0 -> n1", "n1 -> n2", "n2 -> n3", "n2 -> n4", "n0 -> n5", "n5 -> n6", "n6 -> n7", "n5 -> n8"]);
+assert(convertToDOT("f(x) = x").indexOf("label=\"define f(x)\"") !== -1);
+
+// To draw the tree ourselves, we have to decide where each box goes.
+// `layoutTree(tree)` does that with a simple recursive scheme: each subtree
+// gets a strip of the page as wide as it needs, its kids’ strips are laid
+// side by side, and each box is centered over its kids. It adds `x` (the
+// center of the box), `y` (the top), `width` (of the box), and `span` (of
+// the strip) to every node, and returns the size of the whole picture.
+var treeLayout = {charWidth: 8.5, boxHeight: 24, padding: 8, gap: 12, levelHeight: 48, margin: 4};
+
+function layoutTree(tree) {
+    var L = treeLayout;
+
+    // First, from the bottom up, work out how wide each subtree is.
+    function measure(node) {
+        node.width = node.label.length * L.charWidth + 2 * L.padding;
+        node.span = 0;
+        node.kids.forEach(function (kid, i) {
+            node.span += measure(kid) + (i > 0 ? L.gap : 0);
+        });
+        node.span = Math.max(node.span, node.width);
+        return node.span;
+    }
+
+    // Then, from the top down, place each subtree in its strip.
+    var depth = 0;
+    function place(node, left, level) {
+        depth = Math.max(depth, level);
+        node.x = left + node.span / 2;
+        node.y = L.margin + level * L.levelHeight;
+        var kidsSpan = node.kids.reduce(function (total, kid, i) {
+            return total + kid.span + (i > 0 ? L.gap : 0);
+        }, 0);
+        var x = left + (node.span - kidsSpan) / 2;
+        node.kids.forEach(function (kid) {
+            place(kid, x, level + 1);
+            x += kid.span + L.gap;
+        });
+    }
+
+    measure(tree);
+    place(tree, L.margin, 0);
+    return {
+        width: tree.span + 2 * L.margin,
+        height: depth * L.levelHeight + L.boxHeight + 2 * L.margin
     };
-    var e = convert(parse(code));
-    return make("math", null, [e]);
 }
 
+(function () {
+    var tree = syntaxTree(parse("1 + 2"));
+    var size = layoutTree(tree);
+    var one = tree.kids[0], two = tree.kids[1];
+    assert.strictEqual(tree.x, (one.x + two.x) / 2);
+    assert.strictEqual(two.x - one.x, one.width + treeLayout.gap);
+    assert.strictEqual(one.y, tree.y + treeLayout.levelHeight);
+    assert.strictEqual(size.height, treeLayout.levelHeight + treeLayout.boxHeight + 2 * treeLayout.margin);
+})();
+
+// Now the drawing is straightforward: a line from each box to each of its
+// kids, then the boxes on top.
+var svgNamespace = "http://www.w3.org/2000/svg";
+
+function svg(name, attributes, text) {
+    var e = document.createElementNS(svgNamespace, name);
+    for (var key in attributes)
+        e.setAttribute(key, String(attributes[key]));
+    if (text !== undefined)
+        e.appendChild(document.createTextNode(text));
+    return e;
+}
+
+function convertToSVGTree(code) {
+    var L = treeLayout;
+    var tree = syntaxTree(toAST(code));
+    var size = layoutTree(tree);
+    var picture = svg("svg", {width: size.width, height: size.height, "class": "tree"});
+    var lines = svg("g", {stroke: "#666666"}), boxes = svg("g", {"font-family": "monospace", "font-size": 14});
+    picture.appendChild(lines);
+    picture.appendChild(boxes);
+
+    function draw(node) {
+        var color = treeColors[node.color];
+        boxes.appendChild(svg("rect", {
+            x: node.x - node.width / 2, y: node.y, width: node.width, height: L.boxHeight,
+            rx: node.color === "bool" ? L.boxHeight / 2 : 5,
+            fill: color.fill, stroke: color.stroke, "stroke-width": 2
+        }));
+        boxes.appendChild(svg("text", {
+            x: node.x, y: node.y + L.boxHeight / 2, fill: color.text,
+            "text-anchor": "middle", "dominant-baseline": "central"
+        }, node.label));
+        node.kids.forEach(function (kid) {
+            lines.appendChild(svg("line", {x1: node.x, y1: node.y + L.boxHeight, x2: kid.x, y2: kid.y}));
+            draw(kid);
+        });
+    }
+
+    draw(tree);
+    return picture;
+}
+
+
+// ### 6. Back to source code
+//
+// We can also turn the tree back into code. This is called
+// *unparsing*, or pretty-printing. The tree doesn’t remember how the code
+// was spaced or which parentheses it had, so the output is always in the
+// same tidy style: one space around each infix operator, `2x` and `f(x, y)`
+// written tightly, `if`/`then`/`else` for conditional expressions, and
+// one statement per line. (Comments are lost, since they never make it into
+// the tree.)
+//
+// The tricky part is parentheses. There should be just enough of them to
+// give the same tree when the output is parsed again. This works the same
+// way as the MathML code: each piece of output has a precedence, and a
+// piece gets wrapped in parentheses if it binds more loosely than the
+// operator around it. Here, though, the precedences come straight from the
+// parser’s operator table, so operators registered by an application work
+// too.
+function unparse(ast) {
+    // Atoms, like numbers and calls, never need parentheses; conditional
+    // expressions, assignments, and definitions always do, if they’re inside
+    // an operator.
+    var atom = Infinity, loosest = 0;
+
+    // Join two pieces of code, with a space between them only if they would
+    // otherwise run together, like `x` and `y`, or `0x1` and `a`.
+    function glue(a, b) {
+        var separate = tokenize(a).length + tokenize(b).length;
+        return tokenize(a + b).length === separate ? a + b : a + " " + b;
+    }
+
+    function wrap(kid, parens) {
+        return parens ? "(" + kid.text + ")" : kid.text;
+    }
+
+    // Find the operator table entry for an operator node, and which way
+    // the operator is used.
+    function lookup(node) {
+        if (node.implicit)
+            return {usage: "implicit", symbol: "", op: implicitMultiplication};
+        var symbol = operatorSymbol(node.type);
+        var entry = operators[symbol];
+        var usages = ["infix", "prefix", "postfix"];
+        for (var i = 0; entry !== undefined && i < usages.length; i++) {
+            var op = entry[usages[i]];
+            if (op !== undefined && op.type === node.type)
+                return {usage: usages[i], symbol: symbol, op: op};
+        }
+        throw unsupportedOperator(node, "format");
+    }
+
+    // Operators are all handled alike, by looking them up in the table; see
+    // `unparseOperator` below.
+    var convert = makeVisitor("format", {
+        number: function (node) {
+            return {prec: atom, text: node.value};
+        },
+        name: function (node) {
+            return {prec: atom, text: node.id};
+        },
+        call: function (node) {
+            return {prec: atom, text: node.id + "(" + node.args.map(text).join(", ") + ")"};
+        },
+        "if": function (node) {
+            // A conditional inside the test or the first branch would parse
+            // fine without parentheses, but it’s hard to read.
+            var test = convert(node.test), consequent = convert(node.consequent);
+            return {
+                prec: loosest,
+                text: "if " + wrap(test, test.prec === loosest) +
+                      " then " + wrap(consequent, consequent.prec === loosest) +
+                      " else " + text(node.alternate)
+            };
+        },
+        assign: function (node) {
+            return {prec: loosest, text: node.id + " = " + text(node.expr)};
+        },
+        define: function (node) {
+            return {prec: loosest, text: node.id + "(" + node.params.join(", ") + ") = " + text(node.body)};
+        },
+        program: function (node) {
+            return {prec: loosest, text: node.body.map(text).join("\n")};
+        },
+        error: null,
+        "default": unparseOperator
+    });
+
+    function unparseOperator(node) {
+        var found = lookup(node), op = found.op, p = op.precedence;
+        switch (found.usage) {
+        case "prefix":
+            // Keep a space between two operators, as in `- -1`.
+            var operand = convert(node.operand);
+            var opText = wrap(operand, operand.prec < p);
+            return {prec: p, text: /^[A-Za-z0-9(]/.test(opText) && !/^[A-Za-z]+$/.test(found.symbol)
+                                   ? found.symbol + opText
+                                   : found.symbol + " " + opText};
+        case "postfix":
+            var operand = convert(node.operand);
+            var opText = wrap(operand, operand.prec < p);
+            return {prec: p, text: /^[A-Za-z]+$/.test(found.symbol)
+                                   ? opText + " " + found.symbol
+                                   : glue(opText, found.symbol)};
+        }
+
+        // Infix operators, including implicit multiplication. If the operand
+        // on one side has the same precedence as the operator, whether it
+        // needs parentheses depends on which way the operator associates.
+        var left = convert(node.left), right = convert(node.right);
+        var leftText = wrap(left, left.prec < p || (left.prec === p && op.associativity !== "left"));
+        var rightText = wrap(right, right.prec < p || (right.prec === p && op.associativity !== "right"));
+        if (found.usage === "infix")
+            return {prec: p, text: leftText + " " + found.symbol + " " + rightText};
+
+        // Implicit multiplication only works if the right operand starts with
+        // a name or `(`. And if it starts with `(`, the left side can’t end
+        // with a name, or it would look like a function call. It’s written
+        // tightly after a number, like `2x`, or before `(`, like
+        // `(a + b)(a - b)`; otherwise with a space, like `x y`.
+        if (!/^[A-Za-z(]/.test(rightText))
+            rightText = "(" + rightText + ")";
+        if (rightText.charAt(0) === "(") {
+            if (/[A-Za-z]$/.test(leftText))
+                leftText = "(" + leftText + ")";
+            return {prec: p, text: leftText + rightText};
+        }
+        if (node.left.type === "number")
+            return {prec: p, text: glue(leftText, rightText)};
+        return {prec: p, text: leftText + " " + rightText};
+    }
+
+    function text(node) {
+        return convert(node).text;
+    }
+
+    return text(ast);
+}
+
+// `formatCode(code)` parses `code` and unparses it again, tidying it up.
+function formatCode(code) {
+    return unparse(toAST(code));
+}
+
+assert.strictEqual(formatCode("(1+2)*3 - (4-5)"), "(1 + 2) * 3 - (4 - 5)");
+assert.strictEqual(formatCode("((2^3)^4) + 2^(3^4)"), "(2 ^ 3) ^ 4 + 2 ^ 3 ^ 4");
+assert.strictEqual(formatCode("(-2)^2 + -(2^2) + 2^-1"), "(-2) ^ 2 + -2 ^ 2 + 2 ^ (-1)");
+assert.strictEqual(formatCode("2 x + 3 (z+1) + (x)(y) + (x)(y+1)"), "2x + 3(z + 1) + x y + (x)(y + 1)");
+assert.strictEqual(formatCode("n!/(k!*(n-k)!)"), "n! / (k! * (n - k)!)");
+assert.strictEqual(formatCode("x < 0 ? -1 : x > 0 ? 1 : 0"), "if x < 0 then -1 else if x > 0 then 1 else 0");
+assert.strictEqual(formatCode("let f(x,y) = x**y  # power\nf(2, - -3)"), "f(x, y) = x ^ y\nf(2, - -3)");
+assert.strictEqual(formatCode("not (a and b) or c \u2264 0x1_F"), "not (a and b) or c <= 0x1_F");
+
+// Whatever the input, formatting it shouldn’t change what it means.
+["0x1 a", "2 e", "a * b c", "(a * b) c", "(1/2)x", "x^2 y", "(2x)(y+1)", "-3! + (-3)!",
+ "(if a then b else c) + 1", "if (if a then b else c) then 1 else 2", "(a < b) < c"].forEach(function (code) {
+    assert.deepEqual(parse(formatCode(code)), parse(code));
+});
+
+
+// ### 7. S-expressions and RPN
+//
+// calculator-parser.js can also read two other notations: Lisp-style
+// S-expressions, like `(+ 1 (* 2 x))`, and Reverse Polish Notation, like
+// `1 2 x * +`. These two back ends write them. They’re simpler than
+// unparsing to our own language, because neither notation ever needs extra
+// parentheses: the order of operations is always spelled out.
+function convertToSExpr(code) {
+    var convert = makeVisitor("S-expression", {
+        number: function (node) {
+            return node.value;
+        },
+        name: function (node) {
+            return node.id;
+        },
+        call: function (node) {
+            return "(" + [node.id].concat(node.args.map(convert)).join(" ") + ")";
+        },
+        "if": function (node) {
+            return "(if " + [node.test, node.consequent, node.alternate].map(convert).join(" ") + ")";
+        },
+        assign: function (node) {
+            return "(define " + node.id + " " + convert(node.expr) + ")";
+        },
+        define: function (node) {
+            return "(define (" + [node.id].concat(node.params).join(" ") + ") " + convert(node.body) + ")";
+        },
+        program: function (node) {
+            return node.body.map(convert).join("\n");
+        },
+        error: null,
+        "default": function (node) {
+            var kids = node.operand !== undefined ? [node.operand] : [node.left, node.right];
+            return "(" + operatorSymbol(node.type) + " " + kids.map(convert).join(" ") + ")";
+        }
+    });
+
+    return convert(toAST(code));
+}
+
+// In RPN, a lone `-` always means subtraction, so the one-operand forms of
+// operators that also have an infix form are written with their node type
+// instead: `x neg`, not `x -`.
+function convertToRPN(code) {
+    var convert = makeVisitor("RPN", {
+        number: function (node) {
+            return node.value;
+        },
+        name: function (node) {
+            return node.id;
+        },
+        call: function (node) {
+            return node.args.map(convert).concat(node.id + "/" + node.args.length).join(" ");
+        },
+        "if": function (node) {
+            return [node.test, node.consequent, node.alternate].map(convert).concat("if").join(" ");
+        },
+        assign: function (node) {
+            return node.id + " " + convert(node.expr) + " =";
+        },
+        define: function (node) {
+            return node.params.concat(node.id + "/" + node.params.length, convert(node.body), "=").join(" ");
+        },
+        program: function (node) {
+            return node.body.map(convert).join("\n");
+        },
+        error: null,
+        "default": function (node) {
+            var symbol = operatorSymbol(node.type);
+            if (node.operand !== undefined)
+                return convert(node.operand) + " " + (operators[symbol].infix ? node.type : symbol);
+            return convert(node.left) + " " + convert(node.right) + " " + symbol;
+        }
+    });
+
+    return convert(toAST(code));
+}
+
+assert.strictEqual(convertToSExpr("1 + 2x - -y^2"), "(- (+ 1 (* 2 x)) (- (^ y 2)))");
+assert.strictEqual(convertToSExpr("f(x, y) = if x < y then y else x!\nr = 2\nf(r, 3)"),
+                   "(define (f x y) (if (< x y) y (! x)))\n(define r 2)\n(f r 3)");
+assert.strictEqual(convertToRPN("1 + 2x - -y^2"), "1 2 x * + y 2 ^ neg -");
+assert.strictEqual(convertToRPN("f(x, y) = if x < y then y else x!\nr = 2\nf(r, 3)"),
+                   "x y f/2 x y < y x ! if =\nr 2 =\nr 3 f/2");
+
+// Either notation can be read back in, giving the same tree.
+["1 + 2 * 3 - 4", "2^3^4 / 5%", "-x! + +y", "not a or b and c != 0x1_F",
+ "if x <= 0 then sqrt(-x) else f(x, 2)", "f(x) = x * x; r = f(3); r"].forEach(function (code) {
+    assert.deepEqual(parseSExpr(convertToSExpr(code)), parse(code));
+    assert.deepEqual(parseRPN(convertToRPN(code)), parse(code));
+});
+assert.strictEqual(formatCode(parseRPN("1 2 3 * +")), "1 + 2 * 3");
+
 
 // ## Interpreters
 
-// ### 4. Evaluate using floating-point numbers
+// ### Built-in functions
+//
+// Before we start, here is the table of functions that are built into the
+// language. The interpreters and compilers below all look functions up here.
+// For each function, `args` is the number of arguments it takes; `float`
+// computes it on floating-point numbers; and `js` is the name of the JS
+// function that does the same thing, for code generation.
+var builtinFunctions = {
+    sin:  {args: 1, float: Math.sin,  js: "Math.sin"},
+    cos:  {args: 1, float: Math.cos,  js: "Math.cos"},
+    exp:  {args: 1, float: Math.exp,  js: "Math.exp"},
+    log:  {args: 1, float: Math.log,  js: "Math.log"},
+    sqrt: {args: 1, float: Math.sqrt, js: "Math.sqrt"},
+    abs:  {args: 1, float: Math.abs,  js: "Math.abs"}
+};
+
+function isBuiltinFunction(id) {
+    return Object.prototype.hasOwnProperty.call(builtinFunctions, id);
+}
+
+// Find the built-in function called by the AST node `call`, making sure it
+// exists and is being passed the right number of arguments.
+function lookupFunction(call) {
+    if (!isBuiltinFunction(call.id))
+        throw errorAt(SyntaxError, "unknown function: " + call.id, call.loc);
+    var fn = builtinFunctions[call.id];
+    checkArgCount(call, fn.args);
+    return fn;
+}
+
+function checkArgCount(call, n) {
+    if (call.args.length !== n)
+        throw errorAt(SyntaxError, call.id + "() takes " + n + " argument" + (n === 1 ? "" : "s"), call.loc);
+}
+
+// ### The environment
+//
+// The calculator remembers variables from one line of input to the next.
+// They live in an `Environment`. The REPL makes one when it starts up and
+// passes it to every back end that computes anything, so a variable set in
+// calculator mode can be used in fraction mode or graph mode, too.
+//
+// Every time the calculator mode or fraction mode computes an answer, it
+// also stores it in the variable `ans`.
+//
+// Functions you define, like `f(x) = x * x`, live in the environment too.
+// For these we keep the `define` node itself, straight from the parser.
+function Environment() {
+    this.variables = Object.create(null);
+    this.functions = Object.create(null);
+}
+
+// A few constants are built in. You can set a variable with the same name,
+// but then the constant is hidden until the page is reloaded.
+var builtinConstants = {
+    e: Math.E,
+    pi: Math.PI
+};
+
+Environment.prototype = {
+    // Get the value of the variable named by the AST node `name`.
+    // Using a variable that doesn’t exist is an error: it’s almost always a
+    // typo, and quietly treating it as zero would give a wrong answer.
+    lookup: function (name) {
+        if (name.id in this.variables)
+            return this.variables[name.id];
+        if (Object.prototype.hasOwnProperty.call(builtinConstants, name.id))
+            return builtinConstants[name.id];
+        throw errorAt(ReferenceError, "undefined variable: " + name.id, name.loc);
+    },
+
+    // Get the definition of the user-defined function called by the AST node
+    // `call`.
+    userFunction: function (call) {
+        if (!(call.id in this.functions))
+            throw errorAt(ReferenceError, "undefined function: " + call.id, call.loc);
+        var fn = this.functions[call.id];
+        checkArgCount(call, fn.params.length);
+        return fn;
+    },
+
+    // Store the function defined by the AST node `def`.
+    //
+    // Functions can call other functions, but they can’t call themselves,
+    // not even indirectly (if `f` calls `g`, and `g` calls `f`). The
+    // compilers expand each call into a copy of the function’s body, and with
+    // recursion, that would never end. So we check for it here, up front.
+    define: function (def) {
+        if (isBuiltinFunction(def.id))
+            throw errorAt(SyntaxError, "can't redefine the built-in function " + def.id, def.loc);
+
+        var functions = this.functions;
+        function check(body, path, blame) {
+            forEachCall(body, function (call) {
+                var here = blame || call;
+                if (call.id === def.id) {
+                    var chain = path.concat(call.id);
+                    throw errorAt(SyntaxError,
+                                  "recursive functions are not supported (" + chain[0] + " calls " +
+                                  chain.slice(1).join(", which calls ") + ")",
+                                  here.loc);
+                }
+                if (call.id in functions && path.indexOf(call.id) === -1)
+                    check(functions[call.id].body, path.concat(call.id), here);
+            });
+        }
+        check(def.body, [def.id], null);
+        functions[def.id] = def;
+    }
+};
+
+// Call `f` on each function call in the tree `node`.
+function forEachCall(node, f) {
+    if (node.type === "call")
+        f(node);
+    forEachChild(node, function (kid) { forEachCall(kid, f); });
+}
+
+// Each back end handles a call to a user-defined function the same way:
+// look up the function, bind its parameters to the arguments, and then
+// evaluate or compile the body. `args` are the arguments, already evaluated
+// or compiled. `f(body, scope)` does the rest; `scope` maps each parameter
+// name to its argument.
+//
+// If anything goes wrong inside the body, the error points into the code
+// that defined the function, which was typed in some time ago. It’s more
+// helpful to point at the call instead, and say which function failed.
+function callUserFunction(env, call, args, f) {
+    var fn = env.userFunction(call);
+    var scope = Object.create(null);
+    for (var i = 0; i < fn.params.length; i++)
+        scope[fn.params[i]] = args[i];
+    try {
+        return f(fn.body, scope);
+    } catch (err) {
+        if (err.loc) {
+            if (err.inFunction === undefined) {
+                err.inFunction = call.id;
+                err.message += " (in " + call.id + ")";
+            }
+            err.loc = call.loc;
+        }
+        throw err;
+    }
+}
+
+// Variables hold either plain JS numbers or `Fraction`s (see below),
+// depending on which mode set them, or booleans, the results of comparisons.
+// These two functions convert any kind of value to the kind a back end wants.
+// Booleans become 1 and 0.
+function toFloat(value) {
+    return value instanceof Fraction ? value.toNumber() : Number(value);
+}
+
+function toFraction(value) {
+    if (value instanceof Fraction || typeof value === "boolean")
+        return value;
+    return Fraction.fromNumber(value);
+}
+
+
+// ### 8. Evaluate using floating-point numbers
+
+// Before the evaluator itself, a bit of math. The factorial *n*! is
+// 1 × 2 × ... × *n*, which only makes sense when *n* is a whole number. But
+// the gamma function, Γ(*x*), fills in the gaps: Γ(*n* + 1) = *n*! for
+// whole numbers, and it is smooth in between. So for other numbers, we use
+// Γ(*x* + 1) as the factorial of *x*. (It’s undefined for negative whole
+// numbers, so the factorial of those is `NaN`.)
+function factorial(x) {
+    if (x % 1 !== 0)
+        return gamma(x + 1);
+    if (x < 0)
+        return NaN;
+    var result = 1;
+    for (var i = 2; i <= x && result !== Infinity; i++)
+        result *= i;
+    return result;
+}
+
+// There’s no formula for Γ(*x*) that’s easy to compute, so we use the
+// Lanczos approximation, which is accurate to about 15 digits. (These
+// particular numbers, for *g* = 607/128, are the ones Paul Godfrey
+// published.) For *x* &lt; ½, the approximation isn’t good, so first we use
+// the reflection formula, Γ(*x*) Γ(1 − *x*) = π / sin(π*x*).
+var lanczosG = 607 / 128;
+var lanczosCoefficients = [
+    0.99999999999999709182, 57.156235665862923517, -59.597960355475491248,
+    14.136097974741747174, -0.49191381609762019978, 0.33994649984811888699e-4,
+    0.46523628927048575665e-4, -0.98374475304879564677e-4, 0.15808870322491248884e-3,
+    -0.21026444172410488319e-3, 0.21743961811521264320e-3, -0.16431810653676389022e-3,
+    0.84418223983852743293e-4, -0.26190838401581408670e-4, 0.36899182659531622704e-5
+];
+
+function gamma(x) {
+    if (x < 0.5)
+        return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+    x -= 1;
+    var sum = lanczosCoefficients[0];
+    for (var i = 1; i < lanczosCoefficients.length; i++)
+        sum += lanczosCoefficients[i] / (x + i);
+    var t = x + lanczosG + 0.5;
+    return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * sum;
+}
+
+assert.strictEqual(factorial(0), 1);
+assert.strictEqual(factorial(5), 120);
+assert.strictEqual(factorial(171), Infinity);
+assert(isNaN(factorial(-2)));
+assert(Math.abs(factorial(0.5) / (Math.sqrt(Math.PI) / 2) - 1) < 1e-14);
+assert(Math.abs(factorial(-0.5) / Math.sqrt(Math.PI) - 1) < 1e-14);
+assert(Math.abs(factorial(4.5) / 52.34277778455352 - 1) < 1e-14);
 
 // Now let’s try actually performing some computation using the program we
 // read. This behaves like a stripped-down version of JavaScript `eval()`.
-function evaluateAsFloat(code) {
-    var variables = Object.create(null);
-    variables.e = Math.E;
-    variables.pi = Math.PI;
+//
+// While we’re evaluating the body of a user-defined function, `scope` holds
+// the values of its parameters.
+function evaluateAsFloat(code, env) {
+    if (env === undefined)
+        env = new Environment();
+    var scope = Object.create(null);
 
-    function evaluate(obj) {
-        switch (obj.type) {
-        case "number":  return parseInt(obj.value);
-        case "name":  return variables[obj.id] || 0;
-        case "+":  return evaluate(obj.left) + evaluate(obj.right);
-        case "-":  return evaluate(obj.left) - evaluate(obj.right);
-        case "*":  return evaluate(obj.left) * evaluate(obj.right);
-        case "/":  return evaluate(obj.left) / evaluate(obj.right);
-        }
+    var evaluate = makeVisitor("calculator", {
+        number: function (obj) { return numberValue(obj.value); },
+        name: function (obj) {
+            if (obj.id in scope)
+                return scope[obj.id];
+            return toFloat(env.lookup(obj));
+        },
+        assign: function (obj) { return env.variables[obj.id] = evaluate(obj.expr); },
+        define: function (obj) { env.define(obj); return undefined; },
+        "+": function (obj) { return evaluate(obj.left) + evaluate(obj.right); },
+        "-": function (obj) { return evaluate(obj.left) - evaluate(obj.right); },
+        "*": function (obj) { return evaluate(obj.left) * evaluate(obj.right); },
+        "/": function (obj) { return evaluate(obj.left) / evaluate(obj.right); },
+        "^": function (obj) { return Math.pow(evaluate(obj.left), evaluate(obj.right)); },
+        neg: function (obj) { return -evaluate(obj.operand); },
+        pos: function (obj) { return +evaluate(obj.operand); },
+        factorial: function (obj) { return factorial(evaluate(obj.operand)); },
+        percent: function (obj) { return evaluate(obj.operand) / 100; },
+
+        // Comparisons produce `true` or `false`. As in JavaScript, booleans
+        // count as 1 and 0 in arithmetic, so `(x > 0) * x` works, and so
+        // does `==` between a boolean and a number.
+        "<": function (obj) { return evaluate(obj.left) < evaluate(obj.right); },
+        "<=": function (obj) { return evaluate(obj.left) <= evaluate(obj.right); },
+        ">": function (obj) { return evaluate(obj.left) > evaluate(obj.right); },
+        ">=": function (obj) { return evaluate(obj.left) >= evaluate(obj.right); },
+        "==": function (obj) { return evaluate(obj.left) == evaluate(obj.right); },
+        "!=": function (obj) { return evaluate(obj.left) != evaluate(obj.right); },
+
+        // Numbers other than 0 (and NaN) count as true. Only the operands
+        // we need are evaluated.
+        and: function (obj) { return Boolean(evaluate(obj.left)) && Boolean(evaluate(obj.right)); },
+        or: function (obj) { return Boolean(evaluate(obj.left)) || Boolean(evaluate(obj.right)); },
+        not: function (obj) { return !evaluate(obj.operand); },
+        "if": function (obj) {
+            return evaluate(obj.test) ? evaluate(obj.consequent) : evaluate(obj.alternate);
+        },
+
+        call: function (obj) {
+            var args = obj.args.map(evaluate);
+            if (isBuiltinFunction(obj.id))
+                return lookupFunction(obj).float.apply(null, args);
+            return callUserFunction(env, obj, args, function (body, bodyScope) {
+                var outer = scope;
+                scope = bodyScope;
+                try {
+                    return evaluate(body);
+                } finally {
+                    scope = outer;
+                }
+            });
+        },
+        program: null,  // see `run`, below
+        error: null
+    });
+
+    // Run one statement, and remember its result as `ans`.
+    function run(statement) {
+        var result = evaluate(statement);
+        if (result !== undefined)
+            env.variables.ans = result;
+        return result;
     }
-    return evaluate(parse(code));
+
+    // For a program, run each statement in turn and return an array of all
+    // the results.
+    var ast = toAST(code);
+    return ast.type === "program" ? ast.body.map(run) : run(ast);
 }
 
 assert.strictEqual(evaluateAsFloat("2 + 2"), 4);
 assert.strictEqual(evaluateAsFloat("3 * 4 * 5"), 60);
 assert.strictEqual(evaluateAsFloat("5 * (2 + 2)"), 20);
+assert.strictEqual(evaluateAsFloat("1.5 * .5"), 0.75);
+assert.strictEqual(evaluateAsFloat("2.5e3 + 1e-1"), 2500.1);
+assert.strictEqual(evaluateAsFloat("-3 - -(1 + 1)"), -1);
+assert.strictEqual(evaluateAsFloat("2^3^2"), 512);
+assert.strictEqual(evaluateAsFloat("-2**2 * 2^-1"), -2);
+assert.strictEqual(evaluateAsFloat("sqrt(16) + abs(-2) * cos(0)"), 6);
+assert.strictEqual(evaluateAsFloat("6 \u00f7 3 \u00d7 \u22122"), -4);
+assert.throws(function () { evaluateAsFloat("sqrt(1, 2)"); }, SyntaxError);
+assert.throws(function () { evaluateAsFloat("frobnicate(1)"); }, ReferenceError);
+assert.throws(function () { evaluateAsFloat("1 + sqrt(1, 2)"); }, function (err) {
+    return err.loc.start === 4 && err.loc.end === 14;
+});
 
+var testEnv = new Environment();
+assert.strictEqual(evaluateAsFloat("let r = 3", testEnv), 3);
+assert.strictEqual(evaluateAsFloat("area = pi * r^2", testEnv), Math.PI * 9);
+assert.strictEqual(evaluateAsFloat("ans / area + r", testEnv), 4);
+assert.strictEqual(evaluateAsFloat("ans", testEnv), 4);
+assert.throws(function () { evaluateAsFloat("2 * pie"); }, function (err) {
+    return err instanceof ReferenceError &&
+        err.message === "undefined variable: pie" &&
+        err.loc.start === 4 && err.loc.end === 7;
+});
+assert.strictEqual(evaluateAsFloat("f(x) = x*x - 2*x + 1", testEnv), undefined);
+assert.strictEqual(evaluateAsFloat("f(3) + f(r)", testEnv), 8);
+assert.strictEqual(evaluateAsFloat("g(x, y) = f(x) / y", testEnv), undefined);
+assert.strictEqual(evaluateAsFloat("g(5, 4)", testEnv), 4);
+assert.throws(function () { evaluateAsFloat("h(x) = h(x - 1)", testEnv); }, function (err) {
+    return err.message === "recursive functions are not supported (h calls h)" && err.loc.start === 7;
+});
+assert.throws(function () { evaluateAsFloat("f(x) = g(x, 1)", testEnv); }, function (err) {
+    return err.message === "recursive functions are not supported (f calls g, which calls f)";
+});
+assert.throws(function () { evaluateAsFloat("sqrt(x) = x", testEnv); }, SyntaxError);
+assert.throws(function () { evaluateAsFloat("k(y) = y + zz", testEnv); evaluateAsFloat("2 * k(1)", testEnv); },
+              function (err) {
+                  return err instanceof ReferenceError &&
+                      err.message === "undefined variable: zz (in k)" &&
+                      err.loc.start === 4;
+              });
+assert.deepEqual(evaluateAsFloat("w = 2; w * 3\nsq(t) = t * t\nsq(ans)", testEnv), [2, 6, undefined, 36]);
+assert.strictEqual(evaluateAsFloat("w", testEnv), 2);
+assert.strictEqual(evaluateAsFloat("1 < 2 and not 2 <= 1"), true);
+assert.strictEqual(evaluateAsFloat("0.1 + 0.2 == 0.3"), false);
+assert.strictEqual(evaluateAsFloat("(3 > 2) + (3 >= 3) + (2 != 2 or 0)"), 2);
+assert.strictEqual(evaluateAsFloat("(1 < 2) == 1"), true);
+assert.strictEqual(evaluateAsFloat("sgn(t) = t < 0 ? -1 : t > 0 ? 1 : 0; sgn(-5) + sgn(0) * 10 + sgn(3) * 100")[1], 99);
+assert.strictEqual(evaluateAsFloat("if 1 > 2 then sqrt(1, 2) else 3"), 3);
+assert.strictEqual(evaluateAsFloat("0 and sqrt(1, 2)"), false);
+assert.strictEqual(evaluateAsFloat("2(r + 1)r / 2(r)", testEnv), 4);
+assert.strictEqual(evaluateAsFloat("n = 5; k = 2; n!/(k!(n-k)!)")[2], 10);
+assert.strictEqual(evaluateAsFloat("200 * 15%"), 30);
+assert.strictEqual(evaluateAsFloat("0xff + 0b1_0000_0000 - 0o1000 + 1_000.5"), 1000.5 - 1);
+assert.strictEqual(evaluateAsFloat("2^3! - -3!"), 70);
+assert(Math.abs(evaluateAsFloat("(1/2)!^2") - Math.PI / 4) < 1e-14);
+assert.deepEqual(evaluateAsFloat(parseSExpr("(define (sq x) (* x x))\n(sq 7)")), [undefined, 49]);
 
-// ### 5. Evaluate using precise fraction arithmetic
+
+// ### 9. Evaluate using precise fraction arithmetic
 //
 // Our little language is a tiny subset of JavaScript. But that doesn’t meant
 // it has to behave exactly like JavaScript. This is our language.
@@ -190,11 +1521,48 @@ function gcd(a, b) {
 function Fraction(n, d) {
     if (d === undefined)
         d = new BigInteger(1);
+    if (d.isNegative()) {  // Keep the sign in the numerator.
+        n = n.negate();
+        d = d.negate();
+    }
     var x = gcd(n.abs(), d);  // Simplify the fraction.
     this.n = n.divide(x);
     this.d = d.divide(x);
 }
 
+// Number literals can have a decimal point and an exponent, but every one of
+// them is still an exact fraction: `6.02e23` is 602 × 10<sup>21</sup>, and
+// `1.25e-1` is 125/10<sup>3</sup>.
+Fraction.fromDecimal = function (s) {
+    var m = /^([0-9]*)(?:\.([0-9]*))?(?:[eE]([+-]?[0-9]+))?$/.exec(s);
+    var fractionDigits = m[2] || "";
+    var n = new BigInteger(m[1] + fractionDigits);
+    var exponent = (m[3] ? parseInt(m[3], 10) : 0) - fractionDigits.length;
+    var ten = new BigInteger(10);
+    if (exponent >= 0)
+        return new Fraction(n.multiply(ten.pow(exponent)));
+    else
+        return new Fraction(n, ten.pow(-exponent));
+};
+
+// Number literals in other bases are always whole numbers, so they’re even
+// easier. `BigInteger` knows how to read them.
+Fraction.fromLiteral = function (text) {
+    var n = splitNumber(text);
+    if (n.radix !== 10)
+        return new Fraction(BigInteger.parse(n.digits, n.radix));
+    return Fraction.fromDecimal(n.digits);
+};
+
+// Converting a JS number to a fraction goes by way of its decimal
+// representation, so `0.1` becomes 1/10, just as if you’d typed it.
+Fraction.fromNumber = function (x) {
+    if (!isFinite(x))
+        throw new RangeError("can't convert " + x + " to a fraction");
+    var f = Fraction.fromDecimal(String(Math.abs(x)));
+    return x < 0 ? f.negate() : f;
+};
+
 // …and some Fraction methods. You learned these techniques in grade school,
 // though you may have forgotten some of them.
 Fraction.prototype = {
@@ -214,6 +1582,46 @@ Fraction.prototype = {
     div: function (x) {
         return new Fraction(this.n.multiply(x.d), this.d.multiply(x.n));
     },
+    abs: function () {
+        return new Fraction(this.n.abs(), this.d);
+    },
+    // Returns -1, 0, or 1, as this fraction is less than, equal to, or
+    // greater than `x`. Since denominators are always positive,
+    // *a*/*b* &lt; *c*/*d* exactly when *ad* &lt; *cb*.
+    compare: function (x) {
+        return this.n.multiply(x.d).compare(x.n.multiply(this.d));
+    },
+    isZero: function () {
+        return this.n.isZero();
+    },
+    // The closest floating-point number to this fraction. Simply dividing
+    // `n` by `d` in floating point won’t do, because either one might be too
+    // big to be a JS number, even when the fraction isn’t. So first we scale
+    // the fraction by a power of ten, so that the quotient has about twenty
+    // digits, and do the division exactly.
+    toNumber: function () {
+        var ten = new BigInteger(10);
+        var k = 20 - (this.n.abs().toString().length - this.d.toString().length);
+        var q;
+        if (k >= 0)
+            q = this.n.multiply(ten.pow(k)).divide(this.d);
+        else
+            q = this.n.divide(this.d.multiply(ten.pow(-k)));
+        return Number(q.toString() + "e" + (-k));
+    },
+    // Raising a fraction to an integer power is exact, too:
+    // (*n*/*d*)<sup>*k*</sup> = *n*<sup>*k*</sup>/*d*<sup>*k*</sup>,
+    // and (*n*/*d*)<sup>−*k*</sup> = *d*<sup>*k*</sup>/*n*<sup>*k*</sup>.
+    // Other powers are usually irrational, so we don’t try.
+    pow: function (x) {
+        if (!x.d.isUnit())
+            throw new SyntaxError("only integer powers are allowed in fraction mode, sorry");
+        if (x.n.isNegative()) {
+            var k = x.n.negate();
+            return new Fraction(this.d.pow(k), this.n.pow(k));
+        }
+        return new Fraction(this.n.pow(x.n), this.d.pow(x.n));
+    },
     toString: function () {
         var ns = this.n.toString(), ds = this.d.toString();
         if (ds === "1")
@@ -225,18 +1633,122 @@ Fraction.prototype = {
 
 // Now simply write an interpreter that computes the results using `Fraction`
 // objects rather than JavaScript numbers. It’s almost too easy.
-function evaluateAsFraction(code) {
-    function evaluate(obj) {
-        switch (obj.type) {
-        case "number":  return new Fraction(new BigInteger(obj.value));
-        case "+":  return evaluate(obj.left).add(evaluate(obj.right));
-        case "-":  return evaluate(obj.left).sub(evaluate(obj.right));
-        case "*":  return evaluate(obj.left).mul(evaluate(obj.right));
-        case "/":  return evaluate(obj.left).div(evaluate(obj.right));
-        case "name":  throw new SyntaxError("no variables in fraction mode, sorry");
-        }
+function evaluateAsFraction(code, env) {
+    if (env === undefined)
+        env = new Environment();
+    var scope = Object.create(null);
+
+    // Booleans count as 1 and 0 in arithmetic, just as in `evaluateAsFloat`.
+    function evaluateNumber(obj) {
+        var value = evaluate(obj);
+        return typeof value === "boolean" ? Fraction.fromNumber(+value) : value;
+    }
+
+    // About how many digits a `BigInteger` has.
+    function log10(n) {
+        var s = n.abs().toString();
+        return s.length > 15 ? s.length : Math.log(Number(s)) / Math.LN10;
+    }
+
+    function isTrue(value) {
+        return typeof value === "boolean" ? value : !value.isZero();
+    }
+
+    function compare(obj) {
+        return evaluateNumber(obj.left).compare(evaluateNumber(obj.right));
+    }
+
+    var evaluate = makeVisitor("fraction", {
+        number: function (obj) { return Fraction.fromLiteral(obj.value); },
+        assign: function (obj) { return env.variables[obj.id] = evaluate(obj.expr); },
+        define: function (obj) { env.define(obj); return undefined; },
+        "+": function (obj) { return evaluateNumber(obj.left).add(evaluateNumber(obj.right)); },
+        "-": function (obj) { return evaluateNumber(obj.left).sub(evaluateNumber(obj.right)); },
+        "*": function (obj) { return evaluateNumber(obj.left).mul(evaluateNumber(obj.right)); },
+        "/": function (obj) { return evaluateNumber(obj.left).div(evaluateNumber(obj.right)); },
+        // Powers are exact, too, but like factorials, they can get big
+        // enough to freeze the page. The answer has about *k* times as many
+        // digits as the base, so we check that first.
+        "^": function (obj) {
+            var base = evaluateNumber(obj.left), exponent = evaluateNumber(obj.right);
+            if (!exponent.d.isUnit())
+                throw errorAt(SyntaxError, "only integer powers are allowed in fraction mode, sorry", obj.right.loc);
+            var digits = Math.max(log10(base.n), log10(base.d)) * Math.abs(exponent.toNumber());
+            if (digits > 40000)
+                throw errorAt(SyntaxError, "that power is too big to compute", obj.right.loc);
+            return base.pow(exponent);
+        },
+        neg: function (obj) { return evaluateNumber(obj.operand).negate(); },
+        pos: function (obj) { return evaluateNumber(obj.operand); },
+        percent: function (obj) { return evaluateNumber(obj.operand).div(Fraction.fromDecimal("100")); },
+
+        // Factorials of whole numbers are exact, no matter how big they
+        // get. (Within reason. Past 10000!, it takes long enough that it’s
+        // probably a typo.)
+        factorial: function (obj) {
+            var n = evaluateNumber(obj.operand);
+            if (!n.d.isUnit())
+                throw errorAt(SyntaxError, "only whole numbers have factorials in fraction mode, sorry", obj.operand.loc);
+            if (n.n.isNegative())
+                throw errorAt(RangeError, "negative numbers don't have factorials", obj.operand.loc);
+            if (n.n.compare(10000) > 0)
+                throw errorAt(RangeError, "that factorial is too big to compute", obj.loc);
+            var product = new BigInteger(1);
+            for (var i = 2, last = n.n.toJSValue(); i <= last; i++)
+                product = product.multiply(i);
+            return new Fraction(product);
+        },
+
+        // Comparisons are exact, too: 0.1 + 0.2 == 0.3 is true here.
+        "<": function (obj) { return compare(obj) < 0; },
+        "<=": function (obj) { return compare(obj) <= 0; },
+        ">": function (obj) { return compare(obj) > 0; },
+        ">=": function (obj) { return compare(obj) >= 0; },
+        "==": function (obj) { return compare(obj) === 0; },
+        "!=": function (obj) { return compare(obj) !== 0; },
+        and: function (obj) { return isTrue(evaluate(obj.left)) && isTrue(evaluate(obj.right)); },
+        or: function (obj) { return isTrue(evaluate(obj.left)) || isTrue(evaluate(obj.right)); },
+        not: function (obj) { return !isTrue(evaluate(obj.operand)); },
+        "if": function (obj) {
+            return isTrue(evaluate(obj.test)) ? evaluate(obj.consequent) : evaluate(obj.alternate);
+        },
+
+        name: function (obj) {
+            if (obj.id in scope)
+                return scope[obj.id];
+            return toFraction(env.lookup(obj));
+        },
+        call: function (obj) {
+            if (isBuiltinFunction(obj.id)) {
+                // Of the built-in functions, only `abs` has exact results.
+                lookupFunction(obj);
+                if (obj.id !== "abs")
+                    throw errorAt(SyntaxError, obj.id + "() is not available in fraction mode, sorry", obj.loc);
+                return evaluateNumber(obj.args[0]).abs();
+            }
+            return callUserFunction(env, obj, obj.args.map(evaluate), function (body, bodyScope) {
+                var outer = scope;
+                scope = bodyScope;
+                try {
+                    return evaluate(body);
+                } finally {
+                    scope = outer;
+                }
+            });
+        },
+        program: null,
+        error: null
+    });
+
+    function run(statement) {
+        var result = evaluate(statement);
+        if (result !== undefined)
+            env.variables.ans = result;
+        return result;
     }
-    return evaluate(parse(code));
+
+    var ast = toAST(code);
+    return ast.type === "program" ? ast.body.map(run) : run(ast);
 }
 
 // Our tiny programming language is suddenly doing something JavaScript itself
@@ -247,11 +1759,89 @@ assert.strictEqual(evaluateAsFraction("1/7 + 4/7 + 2/7").toString(), "1");
 assert.strictEqual(
     evaluateAsFraction("5996788328646786302319492 / 2288327879043508396784319").toString(),
     "324298349324/123749732893");
+assert.strictEqual(evaluateAsFraction("0.1 + 0.2").toString(), "3/10");
+assert.strictEqual(evaluateAsFraction(".25 * 4").toString(), "1");
+assert.strictEqual(evaluateAsFraction("1.5e3").toString(), "1500");
+assert.strictEqual(evaluateAsFraction("2.5e-2").toString(), "1/40");
+assert.strictEqual(evaluateAsFraction("-1/3 + +1/6").toString(), "-1/6");
+assert.strictEqual(evaluateAsFraction("1 / -2").toString(), "-1/2");
+assert.strictEqual(evaluateAsFraction("(2/3)^3").toString(), "8/27");
+assert.strictEqual(evaluateAsFraction("(-2/3)^-3").toString(), "-27/8");
+assert.strictEqual(evaluateAsFraction("2^100").toString(), "1267650600228229401496703205376");
+assert.strictEqual(evaluateAsFraction("(-1)^2000001 + 1^2000000 + 0^2000000").toString(), "0");
+assert.strictEqual(evaluateAsFraction("10^40000").toString().length, 40001);
+assert.throws(function () { evaluateAsFraction("1 + 2^2000000"); }, function (err) {
+    return err instanceof SyntaxError && err.message === "that power is too big to compute" &&
+        err.loc.start === 6 && err.loc.end === 13;
+});
+assert.throws(function () { evaluateAsFraction("(12345678901234567890/7)^-5000"); }, /too big/);
+assert.strictEqual(evaluateAsFraction("abs(1/3 - 1/2)").toString(), "1/6");
+assert.strictEqual(evaluateAsFraction("r / 2", testEnv).toString(), "3/2");
+assert.strictEqual(evaluateAsFraction("third = 1/3", testEnv).toString(), "1/3");
+assert.strictEqual(evaluateAsFloat("third * 3", testEnv), 1);
+assert.strictEqual(evaluateAsFraction("ans + third", testEnv).toString(), "4/3");
+assert.strictEqual(evaluateAsFraction("2 * pi").toString(), "3141592653589793/500000000000000");
+assert.throws(function () { evaluateAsFraction("1/3 + y"); }, ReferenceError);
+assert.strictEqual(evaluateAsFraction("f(1/3) + g(3, 2)", testEnv).toString(), "22/9");
+assert.deepEqual(evaluateAsFraction("1/3; ans / 2").map(String), ["1/3", "1/6"]);
+assert.strictEqual(evaluateAsFraction("0.1 + 0.2 == 0.3"), true);
+assert.strictEqual(evaluateAsFraction("1/3 < 0.3333333333333333333"), false);
+assert.strictEqual(evaluateAsFraction("-1/2 >= -2/4 and not 1/3 != 2/6"), true);
+assert.strictEqual(evaluateAsFraction("(1/2 < 1) + (2 > 1)").toString(), "2");
+assert.strictEqual(evaluateAsFraction("x = 0; x != 0 and 1/x > 2 ? 1 : 1/4")[1].toString(), "1/4");
+assert.strictEqual(evaluateAsFraction("if 1/3 then 1 else 2").toString(), "1");
+assert.strictEqual(evaluateAsFraction("25!").toString(), "15511210043330985984000000");
+assert.strictEqual(evaluateAsFraction("30! / (28! * 2!)").toString(), "435");
+assert.strictEqual(evaluateAsFraction("0! + 1%").toString(), "101/100");
+assert.strictEqual(evaluateAsFraction("0xffff_ffff_ffff_ffff_ffff + 1").toString(), "1208925819614629174706176");
+assert.strictEqual(evaluateAsFraction("0b1_1 * 1_0.2_5").toString(), "123/4");
+assert.throws(function () { evaluateAsFraction("(1/2)!"); }, function (err) {
+    return err instanceof SyntaxError && err.loc.start === 1 && err.loc.end === 4;
+});
+assert.throws(function () { evaluateAsFraction("(-1)!"); }, RangeError);
+assert.throws(function () { evaluateAsFraction("100000!"); }, RangeError);
+assert(Math.abs(new Fraction(new BigInteger(2).pow(2000), new BigInteger(3).pow(1262)).toNumber() -
+                Math.exp(2000 * Math.LN2 - 1262 * Math.log(3))) < 1e-9);
 
 
 // ## Compilers
 
-// ### 6. JavaScript function output
+// The compilers turn the input into a JS function to graph. If the input is
+// a program with several statements, the last one is the formula to graph,
+// and the ones before it lead up to it:
+//
+// *   Function definitions take effect right away, at compile time, just as
+//     they would in calculator mode.
+//
+// *   Assignments become local variables in the compiled function, so they
+//     can depend on `x` (or `z`). They are *not* saved in `env`.
+//
+// *   Any other expressions are ignored, since there is only one graph.
+//
+// `compileStatements` takes care of that for both compilers.
+// `assign(statement)` sets up a local variable, and `finish(expr)` compiles
+// the formula. If the input ends with a definition, there’s nothing to graph,
+// and this returns `undefined`.
+function compileStatements(ast, env, modeName, assign, finish) {
+    var statements = ast.type === "program" ? ast.body : [ast];
+    var last = statements[statements.length - 1];
+    for (var i = 0; i < statements.length; i++) {
+        var statement = statements[i];
+        if (statement.type === "define") {
+            env.define(statement);
+        } else if (statement.type === "assign") {
+            if (statement === last) {
+                throw errorAt(SyntaxError, "can't set variables in " + modeName +
+                              " mode, except to use later on in the same input; try calculator mode",
+                              statement.loc);
+            }
+            assign(statement);
+        }
+    }
+    return last.type === "define" ? undefined : finish(last);
+}
+
+// ### 10. JavaScript function output
 
 // This is just to show some very basic code generation.
 //
@@ -259,30 +1849,173 @@ assert.strictEqual(
 // language is typically quite a bit different from the source language. Here
 // they are virtually identical, so code generation is very easy.
 //
-function compileToJSFunction(code) {
-    function emit(ast) {
-        switch (ast.type) {
-        case "number":
-            return ast.value;
-        case "name":
-            if (ast.id !== "x")
-                throw SyntaxError("only the name 'x' is allowed");
-            return ast.id;
-        case "+": case "-": case "*": case "/":
+// Variables other than `x` must already be set in the environment `env`, or
+// be built-in constants like `pi`. Their current values are compiled into the
+// function as constants.
+//
+// Calls to user-defined functions are *inlined*: each call is replaced with
+// a copy of the function’s body. Each argument is computed once, into a
+// temporary variable, so that `f(f(f(x)))` doesn’t paste the code for
+// `f(f(x))` into every use of `f`’s parameter. While we’re emitting the
+// copy of the body, `scope` maps each parameter name to its temporary.
+//
+// `locals` maps the name of each local variable to the name of the JS
+// variable that holds it. We add a prefix, so that a variable named `var`
+// or `Math` can’t cause trouble.
+//
+// Local variables aren’t visible inside a function’s body, though: the
+// function is kept in `env`, and can be called later from other modes, where
+// the locals don’t exist. So, as in calculator mode, any other name in a body
+// refers to a variable in `env`.
+//
+function compileToJSFunction(code, env) {
+    if (env === undefined)
+        env = new Environment();
+    var scope = Object.create(null);
+    var locals = Object.create(null);
+
+    var emit = makeVisitor("graph", {
+        number: function (ast) {
+            return String(numberValue(ast.value));
+        },
+        name: function (ast) {
+            if (ast.id in scope)
+                return scope[ast.id];
+            if (ast.id in locals)
+                return locals[ast.id];
+            if (ast.id === "x")
+                return ast.id;
+            return "(" + toFloat(env.lookup(ast)) + ")";
+        },
+        "+ - * /": function (ast) {
             return "(" + emit(ast.left) + " " + ast.type + " " + emit(ast.right) + ")";
-        }
-    }
+        },
+        "^": function (ast) {
+            return "Math.pow(" + emit(ast.left) + ", " + emit(ast.right) + ")";
+        },
+        call: function (ast) {
+            if (isBuiltinFunction(ast.id))
+                return lookupFunction(ast).js + "(" + ast.args.map(emit).join(", ") + ")";
+            var args = ast.args.map(function (arg) {
+                var temp = "t" + tempCount++;
+                var code = emit(arg);
+                body += "var " + temp + " = " + code + ";\n";
+                return temp;
+            });
+            return callUserFunction(env, ast, args, function (body, bodyScope) {
+                var outer = scope, outerLocals = locals;
+                scope = bodyScope;
+                locals = Object.create(null);
+                try {
+                    return emit(body);
+                } finally {
+                    scope = outer;
+                    locals = outerLocals;
+                }
+            });
+        },
+        neg: function (ast) {
+            return "(-" + emit(ast.operand) + ")";
+        },
+        pos: function (ast) {
+            return emit(ast.operand);
+        },
+        factorial: function (ast) {
+            // This calls the `factorial` function defined above.
+            return "factorial(" + emit(ast.operand) + ")";
+        },
+        percent: function (ast) {
+            return "(" + emit(ast.operand) + " / 100)";
+        },
+        "< <= > >= == !=": function (ast) {
+            return "(" + emit(ast.left) + " " + ast.type + " " + emit(ast.right) + ")";
+        },
+        and: function (ast) {
+            return "(!!" + emit(ast.left) + " && !!" + emit(ast.right) + ")";
+        },
+        or: function (ast) {
+            return "(!!" + emit(ast.left) + " || !!" + emit(ast.right) + ")";
+        },
+        not: function (ast) {
+            return "(!" + emit(ast.operand) + ")";
+        },
+        "if": function (ast) {
+            return "(" + emit(ast.test) + " ? " + emit(ast.consequent) + " : " + emit(ast.alternate) + ")";
+        },
+        // Statements are handled by `compileStatements`.
+        "assign define program": null,
+        error: null
+    });
 
-    return Function("x", "return " + emit(parse(code)) + ";");
+    var body = "", tempCount = 0;
+    return compileStatements(toAST(code), env, "graph", function (statement) {
+        var expr = emit(statement.expr);
+        locals[statement.id] = "v_" + statement.id;
+        body += "var " + locals[statement.id] + " = " + expr + ";\n";
+    }, function (expr) {
+        var result = emit(expr);
+        return Function("x", body + "return " + result + ";");
+    });
 }
 
 assert.strictEqual(compileToJSFunction("x*x - 2*x + 1")(1), 0);
 assert.strictEqual(compileToJSFunction("x*x - 2*x + 1")(2), 1);
 assert.strictEqual(compileToJSFunction("x*x - 2*x + 1")(3), 4);
 assert.strictEqual(compileToJSFunction("x*x - 2*x + 1")(4), 9);
+assert.strictEqual(compileToJSFunction("x * 2.5e-1")(8), 2);
+assert.strictEqual(compileToJSFunction("-x - -x*x")(3), 6);
+assert.strictEqual(compileToJSFunction("x^2 - 2^x")(3), 1);
+assert.strictEqual(compileToJSFunction("sqrt(x*x) + sin(0)")(-3), 3);
+assert.strictEqual(compileToJSFunction("r * x - third", testEnv)(2), 6 - 1/3);
+assert.strictEqual(compileToJSFunction("x * pi")(2), 2 * Math.PI);
+assert.throws(function () { compileToJSFunction("x * y"); }, ReferenceError);
+assert.strictEqual(compileToJSFunction("f(x + 1) - g(x, 2)", testEnv)(3), 9 - 2);
+assert.strictEqual(compileToJSFunction("sq(t) = t * t", testEnv), undefined);
+assert.strictEqual(compileToJSFunction("sq(x) + sq(2)", testEnv)(3), 13);
+assert.strictEqual(compileToJSFunction("a = x + 1; b = a * a\nb - a", testEnv)(2), 6);
+assert.strictEqual(compileToJSFunction("x = 2 * x; var = x + 1; cube(t) = t^3; cube(var)")(1), 27);
+assert.strictEqual(compileToJSFunction("x; same(t) = t", testEnv), undefined);
+assert.throws(function () { compileToJSFunction("a = x"); }, SyntaxError);
+assert.throws(function () { compileToJSFunction("h(t) = a * t; a = 2; h(x)"); }, /undefined variable: a \(in h\)/);
+(function () {
+    var env = new Environment();
+    env.variables.a = 5;
+    assert.strictEqual(compileToJSFunction("h(t) = a * t; a = 2; h(x) + a", env)(3), 17);
+    assert.strictEqual(compileToComplexFunction("h(t) = a * t; a = 2; h(z) + a", env)(3, 0).re, 17);
+    assert.strictEqual(evaluateAsFloat("h(1)", env), 5);
+})();
+assert.strictEqual(compileToJSFunction("x < 0 ? -x : x")(-2), 2);
+assert.strictEqual(compileToJSFunction("if x < 0 or x > 1 then 0 else x")(1.5), 0);
+assert.strictEqual(compileToJSFunction("(x >= 0 and not x == 1) * x")(3), 3);
+assert.strictEqual(compileToJSFunction("(x >= 0 and not x == 1) * x")(1), 0);
+assert.strictEqual(compileToJSFunction("(x != 2) + x")(2), 2);
+assert.strictEqual(compileToJSFunction("x! / 50%")(4), 48);
+assert.strictEqual(compileToJSFunction("0b11x + 1_000")(2), 1006);
+(function () {
+    // Deeply nested calls make code that grows with the depth, not
+    // exponentially.
+    var code = "f(t) = t * t; " + new Array(31).join("f(") + "x" + new Array(31).join(")");
+    var fn = compileToJSFunction(code);
+    assert.strictEqual(fn(1), 1);
+    assert.strictEqual(fn(-1), 1);
+    assert(String(fn).length < 2000);
+})();
+
+registerOperator("%%", {infix: {type: "remainder", precedence: 60, associativity: "left"}});
+try {
+    assert.throws(function () { evaluateAsFloat("1 + 7 %% 2"); }, function (err) {
+        return err instanceof SyntaxError &&
+            err.message === "unsupported operator '%%' in calculator mode" &&
+            err.loc.start === 4 && err.loc.end === 10;
+    });
+    assert.throws(function () { evaluateAsFraction("7 %% 2"); }, SyntaxError);
+    assert.throws(function () { compileToJSFunction("x %% 2"); }, /unsupported operator '%%' in graph mode/);
+} finally {
+    unregisterOperator("%%");
+}
 
 
-// ### 7. Complex function output
+// ### 11. Complex function output
 
 // This one returns a JS function that operates on complex numbers.
 //
@@ -290,7 +2023,8 @@ assert.strictEqual(compileToJSFunction("x*x - 2*x + 1")(4), 9);
 // and a few simple optimizations.
 //
 // The input string `code` is a formula, for example, `"(z+1)/(z-1)"`,
-// that uses a complex variable `z`.
+// that uses a complex variable `z`. It can also use `i`, and any variables
+// already set in the environment `env`.
 //
 // This returns a JS function that takes two arguments, `z_re` and `z_im`,
 // the real and imaginary parts of a complex number *z*,
@@ -306,7 +2040,12 @@ assert.strictEqual(compileToJSFunction("x*x - 2*x + 1")(4), 9);
 //     return {re: (((t0*t1)+t2)/t3), im: (((z_im*t1)-(t0*z_im))/t3)};
 //     })
 //
-function compileToComplexFunction(code) {
+// If `target` is `"wasm"`, this returns a WebAssembly module instead, as an
+// array of bytes. See section 13.
+function compileToComplexFunction(code, env, target) {
+    if (env === undefined)
+        env = new Environment();
+
     // The first thing here is a lot of code about "values". This takes some
     // explanation.
     //
@@ -328,7 +2067,7 @@ function compileToComplexFunction(code) {
     //    arithmetic into sequences of JS numeric operations.  JS won’t know
     //    it’s doing complex math.
     //
-    // 3. Lastly, we convert the IR to JS code.
+    // 3. Lastly, we convert the IR to JS code (or to WebAssembly).
     //
     // **Why IR?** We don’t have to do it this way; we could define a class
     // `Complex`, with methods `.add()`, `.sub()`, etc., and generate JS code
@@ -350,15 +2089,21 @@ function compileToComplexFunction(code) {
     //   1. `z_re` or `z_im`, the real or imaginary part of the argument z; or
     //   2. a numeric constant; or
     //   3. an arithmetic operation, one of `+ - * /`, on two previously-
-    //      calculated values.
+    //      calculated values; or
+    //   4. the negation of a previously-calculated value; or
+    //   5. a call to one of the JS functions `Math.sqrt`, `Math.exp`,
+    //      `Math.log`, `Math.sin`, `Math.cos` or `Math.atan2`, passing one or
+    //      two previously-calculated values.
     //
     // And each value is represented by a plain old JSON object, as follows:
     //
     //   1. `{type: "arg", arg0: "z_re"` or `"z_im"}`
     //   2. `{type: "number", arg0: (string picture of number)}`
     //   3. `{type: (one of "+" "-" "*" "/"), arg0: (int), arg1: (int)}`
+    //   4. `{type: "neg", arg0: (int), arg1: null}`
+    //   5. `{type: (e.g. "Math.sin"), arg0: (int), arg1: (int or null)}`
     //
-    // All values are stored sequentially in the array `values`.  The two ints
+    // All values are stored sequentially in the array `values`.  The ints
     // `v.arg0` and `v.arg1` in an arithmetic value are indexes into `values`.
     //
     // The main reason to store all values in a flat array, rather than a tree,
@@ -397,8 +2142,10 @@ function compileToComplexFunction(code) {
         return values.length - 1;
     }
 
+    // Number literals are stored in a canonical form, so that `1.0`, `1` and
+    // `1e0` are all recognized as the same value (and as one, by `isOne`).
     function num(s) {
-        return valueToIndex({type: "number", arg0: s, arg1: null});
+        return valueToIndex({type: "number", arg0: String(Number(s)), arg1: null});
     }
 
     function op(op, a, b) {
@@ -418,9 +2165,21 @@ function compileToComplexFunction(code) {
         return isNumber(i) && values[i].arg0 === "1";
     }
 
-    // Each of these four functions ensures that an IR node for a certain
+    function isMinusOne(i) {
+        return isNumber(i) && values[i].arg0 === "-1";
+    }
+
+    // Each of these functions ensures that an IR node for a certain
     // computation has been added to `values`, and returns the index of that
     // node.
+    function neg(a) {
+        if (isNumber(a))  // constant-fold -(2) to -2
+            return num(String(-Number(values[a].arg0)));
+        if (values[a].type === "neg")  // simplify -(-a) to a
+            return values[a].arg0;
+        return op("neg", a, null);
+    }
+
     function add(a, b) {
         if (isZero(a))  // simplify (0+b) to b
             return b;
@@ -434,6 +2193,8 @@ function compileToComplexFunction(code) {
     function sub(a, b) {
         if (isZero(b))  // simplify (a-0) to a
             return a;
+        if (isZero(a))  // simplify (0-b) to -b
+            return neg(b);
         if (isNumber(a) && isNumber(b))  // constant-fold (3-2) to 1
             return num(String(Number(values[a].arg0) - Number(values[b].arg0)));
         return op("-", a, b);
@@ -448,6 +2209,10 @@ function compileToComplexFunction(code) {
             return b;
         if (isOne(b))  // simplify a*1 to a
             return a;
+        if (isMinusOne(a))  // simplify -1*b to -b
+            return neg(b);
+        if (isMinusOne(b))  // simplify a*-1 to -a
+            return neg(a);
         if (isNumber(a) && isNumber(b))  // constant-fold (2*2) to 4
             return num(String(Number(values[a].arg0) * Number(values[b].arg0)));
         return op("*", a, b);
@@ -461,6 +2226,118 @@ function compileToComplexFunction(code) {
         return op("/", a, b);
     }
 
+    // `call("sin", a)` calls `Math.sin`; `call("atan2", a, b)` calls
+    // `Math.atan2`.
+    function call(name, a, b) {
+        if (b === undefined)
+            b = null;
+        if (isNumber(a) && (b === null || isNumber(b))) {  // constant-fold sin(0) to 0
+            var x = Number(values[a].arg0);
+            return num(String(b === null ? Math[name](x) : Math[name](x, Number(values[b].arg0))));
+        }
+        return op("Math." + name, a, b);
+    }
+
+    // The next few functions do complex arithmetic on `{re: int, im: int}`
+    // pairs of values.
+    //
+    // Multiplication:
+    //
+    // Re(*a* × *b*) = Re(*a*) × Re(*b*) − Im(*a*) × Im(*b*)<br>
+    // Im(*a* × *b*) = Re(*a*) × Im(*b*) + Im(*a*) × Re(*b*)
+    //
+    function complexMul(a, b) {
+        return {
+            re: sub(mul(a.re, b.re), mul(a.im, b.im)),
+            im: add(mul(a.re, b.im), mul(a.im, b.re))
+        };
+    }
+
+    // Division:
+    //
+    // Re(*a* ÷ *b*) = (Re(*a*) × Re(*b*) + Im(*a*) × Im(*b*)) ÷ *t*<br>
+    // Im(*a* ÷ *b*) = (Im(*a*) × Re(*b*) − Re(*a*) × Im(*b*)) ÷ *t*<br>
+    // where *t* = Re(*b*)² + Im(*b*)²
+    //
+    function complexDiv(a, b) {
+        var t = add(mul(b.re, b.re), mul(b.im, b.im));
+        return {
+            re: div(add(mul(a.re, b.re), mul(a.im, b.im)), t),
+            im: div(sub(mul(a.im, b.re), mul(a.re, b.im)), t)
+        };
+    }
+
+    // Integer powers are lowered to multiplications, by repeated squaring:
+    // *a*<sup>13</sup> = *a* × *a*<sup>4</sup> × *a*<sup>8</sup>, where
+    // *a*<sup>4</sup> = (*a*<sup>2</sup>)<sup>2</sup> and so on. A negative
+    // power is 1 divided by the corresponding positive power.
+    function complexPow(a, n) {
+        var one = {re: num("1"), im: num("0")};
+        var result = one, square = a;
+        for (var k = Math.abs(n); k > 0; k = Math.floor(k / 2)) {
+            if (k % 2 === 1)
+                result = complexMul(result, square);
+            if (k > 1)
+                square = complexMul(square, square);
+        }
+        return n < 0 ? complexDiv(one, result) : result;
+    }
+
+    // The built-in functions have complex versions, too. Each one is lowered
+    // to a few real `Math` functions. Some of these formulas need the
+    // hyperbolic functions: cosh *y* = (*e*<sup>*y*</sup> + *e*<sup>−*y*</sup>) ÷ 2
+    // and sinh *y* = (*e*<sup>*y*</sup> − *e*<sup>−*y*</sup>) ÷ 2.
+    function complexCosh(y) {
+        return mul(num("0.5"), add(call("exp", y), call("exp", neg(y))));
+    }
+
+    function complexSinh(y) {
+        return mul(num("0.5"), sub(call("exp", y), call("exp", neg(y))));
+    }
+
+    var complexFunctions = {
+        // *e*<sup>*x*+*iy*</sup> = *e*<sup>*x*</sup> (cos *y* + *i* sin *y*)
+        exp: function (a) {
+            var r = call("exp", a.re);
+            return {re: mul(r, call("cos", a.im)), im: mul(r, call("sin", a.im))};
+        },
+
+        // log *z* = log |*z*| + *i* arg *z*, where log |*z*| = ½ log (Re(*z*)² + Im(*z*)²)
+        log: function (a) {
+            return {
+                re: mul(num("0.5"), call("log", add(mul(a.re, a.re), mul(a.im, a.im)))),
+                im: call("atan2", a.im, a.re)
+            };
+        },
+
+        // √*z* = *e*<sup>½ log *z*</sup>
+        sqrt: function (a) {
+            var l = complexFunctions.log(a);
+            return complexFunctions.exp({re: mul(num("0.5"), l.re), im: mul(num("0.5"), l.im)});
+        },
+
+        // sin(*x*+*iy*) = sin *x* cosh *y* + *i* cos *x* sinh *y*
+        sin: function (a) {
+            return {
+                re: mul(call("sin", a.re), complexCosh(a.im)),
+                im: mul(call("cos", a.re), complexSinh(a.im))
+            };
+        },
+
+        // cos(*x*+*iy*) = cos *x* cosh *y* − *i* sin *x* sinh *y*
+        cos: function (a) {
+            return {
+                re: mul(call("cos", a.re), complexCosh(a.im)),
+                im: neg(mul(call("sin", a.re), complexSinh(a.im)))
+            };
+        },
+
+        // |*z*| = √(Re(*z*)² + Im(*z*)²), a real number
+        abs: function (a) {
+            return {re: call("sqrt", add(mul(a.re, a.re), mul(a.im, a.im))), im: num("0")};
+        }
+    };
+
     // **ast_to_ir(*obj*)** reduces *obj*, which represents an operation on
     // complex numbers, to a sequence of operations on floating-point numbers.
     //
@@ -470,10 +2347,13 @@ function compileToComplexFunction(code) {
     // the IR nodes representing the real part and the imaginary part of the
     // answer.
     //
-    function ast_to_ir(obj) {
-        switch (obj.type) {
-        case "number":
-            return {re: num(obj.value), im: num("0")};
+    var scope = Object.create(null);
+    var locals = Object.create(null);  // local variables, as in compileToJSFunction
+
+    var ast_to_ir = makeVisitor("complex", {
+        number: function (obj) {
+            return {re: num(String(numberValue(obj.value))), im: num("0")};
+        },
 
         // Complex arithmetic. Start by calling `ast_to_ir` recursively on the
         // operands. The rest is just standard formulas:
@@ -481,41 +2361,89 @@ function compileToComplexFunction(code) {
         // Re(*a* ± *b*) = Re(*a*) ± Re(*b*)<br>
         // Im(*a* ± *b*) = Im(*a*) ± Im(*b*)
         //
-        case "+": case "-":
+        "+ -": function (obj) {
             var a = ast_to_ir(obj.left), b = ast_to_ir(obj.right);
             var f = (obj.type === "+" ? add : sub);
             return {
                 re: f(a.re, b.re),
                 im: f(a.im, b.im)
             };
+        },
 
-        // Multiplication:
-        //
-        // Re(*a* × *b*) = Re(*a*) × Re(*b*) − Im(*a*) × Im(*b*)<br>
-        // Im(*a* × *b*) = Re(*a*) × Im(*b*) + Im(*a*) × Re(*b*)
-        //
-        case "*":
-            var a = ast_to_ir(obj.left), b = ast_to_ir(obj.right);
-            return {
-                re: sub(mul(a.re, b.re), mul(a.im, b.im)),
-                im: add(mul(a.re, b.im), mul(a.im, b.re))
-            };
+        "*": function (obj) {
+            return complexMul(ast_to_ir(obj.left), ast_to_ir(obj.right));
+        },
 
-        // Division:
-        //
-        // Re(*a* ÷ *b*) = (Re(*a*) × Re(*b*) + Im(*a*) × Im(*b*)) ÷ *t*<br>
-        // Im(*a* ÷ *b*) = (Im(*a*) × Re(*b*) − Re(*a*) × Im(*b*)) ÷ *t*<br>
-        // where *t* = Re(*b*)² + Im(*b*)²
-        //
-        case "/":
+        "/": function (obj) {
+            return complexDiv(ast_to_ir(obj.left), ast_to_ir(obj.right));
+        },
+
+        // Powers are only supported when the exponent turns out to be an
+        // integer constant, like `z^3` or `z^(1-3)`.
+        "^": function (obj) {
             var a = ast_to_ir(obj.left), b = ast_to_ir(obj.right);
-            var t = add(mul(b.re, b.re), mul(b.im, b.im));
-            return {
-                re: div(add(mul(a.re, b.re), mul(a.im, b.im)), t),
-                im: div(sub(mul(a.im, b.re), mul(a.re, b.im)), t)
-            };
+            if (!isNumber(b.re) || !isZero(b.im) || Number(values[b.re].arg0) % 1 !== 0)
+                throw errorAt(SyntaxError, "only integer powers are allowed in complex mode", obj.right.loc);
+            return complexPow(a, Number(values[b.re].arg0));
+        },
+
+        // Negation: Re(−*a*) = −Re(*a*), and likewise for Im.
+        neg: function (obj) {
+            var a = ast_to_ir(obj.operand);
+            return {re: neg(a.re), im: neg(a.im)};
+        },
+
+        percent: function (obj) {
+            var a = ast_to_ir(obj.operand);
+            return {re: div(a.re, num("100")), im: div(a.im, num("100"))};
+        },
+
+        pos: function (obj) {
+            return ast_to_ir(obj.operand);
+        },
+
+        // There’s no factorial of a complex number that’s quick to compute.
+        factorial: null,
+
+        // Complex numbers aren’t ordered, so there’s no sensible way to
+        // compare them, or to pick a branch of a conditional.
+        "< <= > >= == != and or not": function (obj) {
+            throw errorAt(SyntaxError, "'" + obj.type + "' is not supported in complex mode", obj.loc);
+        },
+        "if": function (obj) {
+            throw errorAt(SyntaxError, "conditional expressions are not supported in complex mode", obj.loc);
+        },
+
+        call: function (obj) {
+            var args = obj.args.map(ast_to_ir);
+            if (isBuiltinFunction(obj.id)) {
+                lookupFunction(obj);
+                return complexFunctions[obj.id].apply(null, args);
+            }
+
+            // Calls to user-defined functions are inlined, as in
+            // `compileToJSFunction`. Here `scope` maps each parameter to the
+            // `{re, im}` pair of values for its argument. Common subexpression
+            // elimination keeps us from computing anything twice.
+            return callUserFunction(env, obj, args, function (body, bodyScope) {
+                var outer = scope, outerLocals = locals;
+                scope = bodyScope;
+                locals = Object.create(null);
+                try {
+                    return ast_to_ir(body);
+                } finally {
+                    scope = outer;
+                    locals = outerLocals;
+                }
+            });
+        },
+
+        name: function (obj) {
+            if (obj.id in scope)
+                return scope[obj.id];
+            if (obj.id in locals)
+                return locals[obj.id];
 
-        case "name":
             if (obj.id === "i")
                 return {re: num("0"), im: num("1")};
 
@@ -524,23 +2452,28 @@ function compileToComplexFunction(code) {
             if (obj.id === "z")
                 return {re: 0, im: 1};
 
-            throw SyntaxError("undefined variable: " + obj.id);
-        }
-    }
+            // Any other variable must already have a value, a real number.
+            return {re: num(String(toFloat(env.lookup(obj)))), im: num("0")};
+        },
+
+        // Statements are handled by `compileStatements`.
+        "assign define program": null,
+        error: null
+    });
 
     // Figure out how many times each value is used in subsequent calculations.
     // This is how we avoid emitting all the code for a value every time it is
     // used. As we generate JS, whenever we reach a value that is used multiple
     // times, we’ll write out a `var` statement.
     function computeUseCounts(values) {
-        var binaryOps = {"+": 1, "-": 1, "*": 1, "/": 1};
         var useCounts = [];
         for (var i = 0; i < values.length; i++) {
             useCounts[i] = 0;
             var node = values[i];
-            if (node.type in binaryOps) {
+            if (node.type !== "number" && node.type !== "arg") {
                 useCounts[node.arg0]++;
-                useCounts[node.arg1]++;
+                if (node.arg1 !== null)
+                    useCounts[node.arg1]++;
             }
         }
         return useCounts;
@@ -554,10 +2487,20 @@ function compileToComplexFunction(code) {
         var js = [];
         for (var i = 0; i < values.length; i++) {
             var node = values[i];
-            if (node.type === "number" || node.type === "arg") {
+            if (node.type === "arg") {
                 js[i] = node.arg0;
+            } else if (node.type === "number") {
+                // Parenthesize negative numbers, so that `a - -2` does not
+                // come out as `a--2`.
+                js[i] = node.arg0.charAt(0) === "-" ? "(" + node.arg0 + ")" : node.arg0;
             } else {
-                js[i] = "(" + js[node.arg0] + node.type + js[node.arg1] + ")";
+                if (node.type === "neg")
+                    js[i] = "(-" + js[node.arg0] + ")";
+                else if (node.type.slice(0, 5) === "Math.")
+                    js[i] = node.type + "(" + js[node.arg0] +
+                        (node.arg1 === null ? "" : ", " + js[node.arg1]) + ")";
+                else
+                    js[i] = "(" + js[node.arg0] + node.type + js[node.arg1] + ")";
                 if (useCounts[i] > 1) {
                     var name = "t" + next_temp_id++;
                     code += "var " + name + " = " + js[i] + ";\n";
@@ -569,27 +2512,989 @@ function compileToComplexFunction(code) {
         return code;
     }
 
-    var ast = parse(code);
-    var result = ast_to_ir(ast);
-    var code = ir_to_js(values, result);
-    console.log(code);
-    return Function("z_re, z_im", code);
+    // Step 3, the other way: convert the IR to a WebAssembly function that
+    // returns two numbers, the real and imaginary parts. WebAssembly is a
+    // stack machine, so each value becomes the code that pushes it: push the
+    // operands, then do the operation. As in `ir_to_js`, a value that’s used
+    // more than once is computed up front and saved, here in a local.
+    function ir_to_wasm(values, result) {
+        var useCounts = computeUseCounts(values);
+        var fn = new WasmFunction(2);  // locals 0 and 1 are z_re and z_im
+        var temps = [];
+
+        function emitValue(i) {
+            var node = values[i];
+            if (temps[i] !== undefined) {
+                fn.emit("local.get", temps[i]);
+            } else if (node.type === "arg") {
+                fn.emit("local.get", node.arg0 === "z_re" ? 0 : 1);
+            } else if (node.type === "number") {
+                fn.constant(Number(node.arg0));
+            } else {
+                emitValue(node.arg0);
+                if (node.arg1 !== null)
+                    emitValue(node.arg1);
+                if (node.type === "neg")
+                    fn.emit("f64.neg");
+                else if (node.type === "Math.sqrt")  // WebAssembly has this one built in
+                    fn.emit("f64.sqrt");
+                else if (node.type.slice(0, 5) === "Math.")
+                    fn.callImport(node.type.slice(5));
+                else
+                    fn.emit(wasmInstructions[node.type]);
+            }
+        }
 
-    /*
-      I had planned to have this generate asm.js code for extra speed, but it’s
-      so fast already that unless I can think of a more computationally
-      intensive task, there is no need.
-    */
+        for (var i = 0; i < values.length; i++) {
+            var type = values[i].type;
+            if (useCounts[i] > 1 && type !== "arg" && type !== "number") {
+                emitValue(i);
+                temps[i] = fn.newLocal();
+                fn.emit("local.set", temps[i]);
+            }
+        }
+        emitValue(result.re);
+        emitValue(result.im);
+        return encodeWasmModule(fn, 2);
+    }
+
+    // A local variable doesn’t need any code of its own. It’s just a name for
+    // the values that make up its real and imaginary parts.
+    return compileStatements(toAST(code), env, "complex", function (statement) {
+        locals[statement.id] = ast_to_ir(statement.expr);
+    }, function (expr) {
+        var result = ast_to_ir(expr);
+        if (target === "wasm")
+            return ir_to_wasm(values, result);
+        var code = ir_to_js(values, result);
+        console.log(code);
+        return Function("z_re, z_im", code);
+    });
 }
 
-// The last bit of code here simply stores all seven back ends in one place
-// where other code can get to them.
+(function () {
+    var env = new Environment();
+    evaluateAsFloat("b = 1 < 2", env);
+    assert.deepEqual(compileToComplexFunction("z + b", env)(1, 2), {re: 2, im: 2});
+    assert.deepEqual(compileToComplexFunction("z * ans", env)(1, 2), {re: 1, im: 2});
+})();
+
+// ### 12. Bytecode for a stack machine
+//
+// `compileToJSFunction` gets off easy: it hands the real work of code
+// generation to the JS engine, via `Function()`. Real compilers for
+// languages like Java, Python, and Lua instead target a *virtual machine*,
+// an imaginary computer that’s simple enough to write an interpreter for.
+// This back end compiles to one of those, and includes the interpreter.
+//
+// Our machine has a stack of values. Most instructions pop their operands
+// off the stack and push the result. To compute `1 + 2 * x`:
+//
+//        0  PUSH        1
+//        2  PUSH        2
+//        4  LOAD        x
+//        6  MUL
+//        7  ADD
+//
+// The compiled program is an array of numbers: each instruction is an
+// *opcode*, the instruction’s number in this table, followed by its
+// operands. `PUSH` takes the index of a number in the program’s table of
+// constants. `LOAD`, `STORE`, and `CALL` take the index of a name in its
+// table of names. `DEFINE` takes the index of a function in its table of
+// functions.
+var instructionSet = [
+    //  name          operands
+    ["HALT",         []],                     // stop
+    ["PUSH",         ["constant"]],           // push a constant
+    ["LOAD",         ["name"]],               // push a variable’s value
+    ["STORE",        ["name"]],               // set a variable to the value on top of the stack
+    ["ARG",          ["index"]],              // push an argument of the function being run
+    ["CALL",         ["name", "count"]],      // call a function, popping its arguments
+    ["RET",          []],                     // return from a user-defined function
+    ["DEFINE",       ["function"]],           // make a function definition take effect
+    ["RESULT",       []],                     // pop the answer to a statement, and save it as `ans`
+    ["POP",          []],                     // throw away the value on top of the stack
+    ["DUP",          []],                     // push a second copy of the value on top of the stack
+    ["JUMP",         ["address"]],            // go to another instruction
+    ["JUMPUNLESS",   ["address"]],            // pop a value, and jump if it’s false
+    ["JUMPIF",       ["address"]],            // pop a value, and jump if it’s true
+    ["TRUTH",        []],                     // convert the value on top of the stack to a boolean
+    ["NOT",          []],
+    ["NEG",          []],
+    ["FACT",         []],                     // factorial
+    ["ADD",          []],
+    ["SUB",          []],
+    ["MUL",          []],
+    ["DIV",          []],
+    ["POW",          []],
+    ["LT",           []],
+    ["LE",           []],
+    ["GT",           []],
+    ["GE",           []],
+    ["EQ",           []],
+    ["NE",           []]
+];
+
+// `opcodes.ADD` is the opcode for `ADD`, and so on.
+var opcodes = Object.create(null);
+instructionSet.forEach(function (instruction, opcode) {
+    opcodes[instruction[0]] = opcode;
+});
+
+// The binary operators each compile to one instruction.
+var binaryInstructions = {
+    "+": "ADD", "-": "SUB", "*": "MUL", "/": "DIV", "^": "POW",
+    "<": "LT", "<=": "LE", ">": "GT", ">=": "GE", "==": "EQ", "!=": "NE"
+};
+
+// `compileToBytecode(code, env)` returns an object with the compiled `code`
+// array, its `constants` and `names`, and its `functions`, one entry for
+// each function definition, giving the function’s name, its number of
+// parameters, the address of its code, and the `define` node itself. `locs` records which part of the
+// input each instruction came from, for error messages.
+//
+// Like calculator mode, the program looks up variables and functions when
+// it runs, and each statement’s answer is saved in `ans`. Unlike the other
+// compilers, we don’t inline calls: the `CALL` instruction jumps to the
+// function’s code, and `RET` jumps back.
+//
+// Each definition is compiled where it appears, with a jump around it, and
+// followed by a `DEFINE` instruction. So if a function is defined twice,
+// each call runs whichever definition was in effect when the call happened,
+// just as in calculator mode. Functions defined by earlier input are
+// compiled after the main program, and are in effect from the start.
+//
+// The compiler checks each definition against a scratch copy of the
+// environment’s functions, so that it can reject recursion up front. The
+// definition isn’t stored in `env` until its `DEFINE` instruction runs, so
+// if the program fails before that, `env` doesn’t change.
+//
+// `and`, `or`, and `if` need to skip over code, so they use jumps. The
+// address to jump to often isn’t known until the code being skipped has been
+// emitted, so `emitJump` leaves a blank, and `patch` fills it in later.
+function compileToBytecode(code, env) {
+    if (env === undefined)
+        env = new Environment();
+    var bytecode = {code: [], constants: [], names: [], functions: [], locs: []};
+    var out = bytecode.code;
+    var params = null;  // while compiling a function, maps each parameter to its index
+
+    // Definitions are checked here, and stored in `env` when they run.
+    var scratch = new Environment();
+    scratch.functions = Object.create(env.functions);
+
+    // Functions from earlier input that are called, but not compiled yet.
+    var earlier = Object.create(null);
+    for (var id in env.functions)
+        earlier[id] = env.functions[id];
+    var pending = [];
+
+    function indexOf(table, value) {
+        var i = table.indexOf(value);
+        if (i === -1) {
+            i = table.length;
+            table.push(value);
+        }
+        return i;
+    }
+
+    function emitOp(name, node) {
+        bytecode.locs[out.length] = node.loc;
+        out.push(opcodes[name]);
+        for (var i = 2; i < arguments.length; i++)
+            out.push(arguments[i]);
+    }
+
+    function emitJump(name, node) {
+        emitOp(name, node, -1);
+        return out.length - 1;
+    }
+
+    function patch(hole) {
+        out[hole] = out.length;
+    }
+
+    var emit = makeVisitor("bytecode", {
+        number: function (node) {
+            emitOp("PUSH", node, indexOf(bytecode.constants, numberValue(node.value)));
+        },
+        name: function (node) {
+            if (params !== null && node.id in params)
+                emitOp("ARG", node, params[node.id]);
+            else
+                emitOp("LOAD", node, indexOf(bytecode.names, node.id));
+        },
+        "+ - * / ^ < <= > >= == !=": function (node) {
+            emit(node.left);
+            emit(node.right);
+            emitOp(binaryInstructions[node.type], node);
+        },
+        neg: function (node) {
+            emit(node.operand);
+            emitOp("NEG", node);
+        },
+        pos: function (node) {
+            emit(node.operand);
+        },
+        factorial: function (node) {
+            emit(node.operand);
+            emitOp("FACT", node);
+        },
+        // There’s no instruction for `%`. It’s the same as dividing by 100.
+        percent: function (node) {
+            emit(node.operand);
+            emitOp("PUSH", node, indexOf(bytecode.constants, 100));
+            emitOp("DIV", node);
+        },
+        not: function (node) {
+            emit(node.operand);
+            emitOp("NOT", node);
+        },
+        // If the left operand of `and` is false, that’s the answer, and the
+        // right operand is skipped. `or` is the same, the other way around.
+        "and or": function (node) {
+            emit(node.left);
+            emitOp("TRUTH", node);
+            emitOp("DUP", node);
+            var hole = emitJump(node.type === "and" ? "JUMPUNLESS" : "JUMPIF", node);
+            emitOp("POP", node);
+            emit(node.right);
+            emitOp("TRUTH", node);
+            patch(hole);
+        },
+        "if": function (node) {
+            emit(node.test);
+            var toElse = emitJump("JUMPUNLESS", node);
+            emit(node.consequent);
+            var toEnd = emitJump("JUMP", node);
+            patch(toElse);
+            emit(node.alternate);
+            patch(toEnd);
+        },
+        // Inside a function, a call to a function that isn’t defined yet is
+        // fine, as long as it’s defined by the time it runs.
+        call: function (node) {
+            if (isBuiltinFunction(node.id)) {
+                lookupFunction(node);
+            } else {
+                if (params === null || node.id in scratch.functions)
+                    scratch.userFunction(node);
+                if (node.id in earlier && pending.indexOf(earlier[node.id]) === -1)
+                    pending.push(earlier[node.id]);
+            }
+            node.args.forEach(emit);
+            emitOp("CALL", node, indexOf(bytecode.names, node.id), node.args.length);
+        },
+        assign: function (node) {
+            emit(node.expr);
+            emitOp("STORE", node, indexOf(bytecode.names, node.id));
+        },
+        // Statements are handled below.
+        "define program": null,
+        error: null
+    });
+
+    // Emit the code for a function, and add it to the table of functions.
+    function emitFunction(fn, fromEarlierInput) {
+        var index = bytecode.functions.length;
+        bytecode.functions.push({id: fn.id, params: fn.params.length, address: out.length,
+                                 definition: fn, earlier: fromEarlierInput});
+        params = Object.create(null);
+        fn.params.forEach(function (param, i) { params[param] = i; });
+        emit(fn.body);
+        emitOp("RET", fn);
+        params = null;
+        return index;
+    }
+
+    var ast = toAST(code);
+    var statements = ast.type === "program" ? ast.body : [ast];
+    statements.forEach(function (statement) {
+        if (statement.type === "define") {
+            scratch.define(statement);
+            var skip = emitJump("JUMP", statement);
+            var index = emitFunction(statement, false);
+            patch(skip);
+            emitOp("DEFINE", statement, index);
+        } else {
+            emit(statement);
+            emitOp("RESULT", statement);
+        }
+    });
+    emitOp("HALT", ast);
+
+    // Now compile the functions from earlier input. Compiling one can add
+    // more to `pending`.
+    for (var i = 0; i < pending.length; i++)
+        emitFunction(pending[i], true);
+    return bytecode;
+}
+
+// `disassemble(bytecode)` shows the compiled code as text, one instruction
+// per line, with its address on the left. Each user-defined function starts
+// with its name, as a label.
+function disassemble(bytecode) {
+    var labels = Object.create(null);
+    bytecode.functions.forEach(function (fn) {
+        labels[fn.address] = fn.id;
+    });
+
+    var lines = [];
+    for (var pc = 0; pc < bytecode.code.length; pc = nextInstruction(bytecode, pc)) {
+        if (pc in labels)
+            lines.push(labels[pc] + ":");
+        lines.push(disassembleInstruction(bytecode, pc));
+    }
+    return lines.join("\n");
+}
+
+function nextInstruction(bytecode, pc) {
+    return pc + 1 + instructionSet[bytecode.code[pc]][1].length;
+}
+
+function disassembleInstruction(bytecode, pc) {
+    var instruction = instructionSet[bytecode.code[pc]];
+    var operands = instruction[1].map(function (kind, i) {
+        var operand = bytecode.code[pc + 1 + i];
+        switch (kind) {
+        case "constant": return String(bytecode.constants[operand]);
+        case "name": return bytecode.names[operand];
+        case "function": return bytecode.functions[operand].id;
+        default: return String(operand);
+        }
+    });
+    var address = String(pc);
+    var text = new Array(6 - address.length).join(" ") + address + "  " +
+               (instruction[0] + "            ").slice(0, 12) + operands.join(" ");
+    return text.replace(/ +$/, "");
+}
+
+// `runBytecode(bytecode, env, trace)` is the virtual machine. It runs the
+// program and returns an array of answers, one for each statement that has
+// one. If you pass a `trace` function, it’s called after each instruction
+// with the instruction’s address and the stack.
+//
+// Each call to a user-defined function pushes a *frame* that remembers
+// where to return to, and where on the stack the arguments are. As in the
+// other back ends, an error in a function’s body points at the call.
+function runBytecode(bytecode, env, trace) {
+    if (env === undefined)
+        env = new Environment();
+    var code = bytecode.code;
+    var stack = [], frames = [], answers = [];
+    var pc = 0;
+
+    // `defined` maps each function name to the definition in effect.
+    var defined = Object.create(null);
+    bytecode.functions.forEach(function (fn) {
+        if (fn.earlier)
+            defined[fn.id] = fn;
+    });
+
+    function pop() {
+        return stack.pop();
+    }
+
+    function binary(f) {
+        var right = pop(), left = pop();
+        stack.push(f(left, right));
+    }
+
+    try {
+        for (;;) {
+            var at = pc;
+            var name = instructionSet[code[pc]][0];
+            var a = code[pc + 1], b = code[pc + 2];
+            pc = nextInstruction(bytecode, pc);
+            switch (name) {
+            case "HALT":
+                return answers;
+            case "PUSH":
+                stack.push(bytecode.constants[a]);
+                break;
+            case "LOAD":
+                stack.push(toFloat(env.lookup({id: bytecode.names[a], loc: bytecode.locs[at]})));
+                break;
+            case "STORE":
+                env.variables[bytecode.names[a]] = stack[stack.length - 1];
+                break;
+            case "ARG":
+                stack.push(stack[frames[frames.length - 1].base + a]);
+                break;
+            case "CALL":
+                var id = bytecode.names[a];
+                if (isBuiltinFunction(id)) {
+                    stack.push(builtinFunctions[id].float.apply(null, stack.splice(stack.length - b, b)));
+                } else {
+                    var call = {id: id, args: new Array(b), loc: bytecode.locs[at]};
+                    if (!(id in defined))
+                        throw errorAt(ReferenceError, "undefined function: " + id, call.loc);
+                    checkArgCount(call, defined[id].params);
+                    frames.push({id: id, base: stack.length - b, returnTo: pc, calledFrom: at});
+                    pc = defined[id].address;
+                }
+                break;
+            case "RET":
+                var frame = frames.pop(), result = pop();
+                stack.length = frame.base;
+                stack.push(result);
+                pc = frame.returnTo;
+                break;
+            case "DEFINE":
+                var fn = bytecode.functions[a];
+                defined[fn.id] = fn;
+                env.functions[fn.id] = fn.definition;
+                break;
+            case "RESULT":
+                answers.push(env.variables.ans = pop());
+                break;
+            case "POP":
+                pop();
+                break;
+            case "DUP":
+                stack.push(stack[stack.length - 1]);
+                break;
+            case "JUMP":
+                pc = a;
+                break;
+            case "JUMPUNLESS":
+                if (!pop())
+                    pc = a;
+                break;
+            case "JUMPIF":
+                if (pop())
+                    pc = a;
+                break;
+            case "TRUTH":
+                stack.push(Boolean(pop()));
+                break;
+            case "NOT":
+                stack.push(!pop());
+                break;
+            case "NEG":
+                stack.push(-pop());
+                break;
+            case "FACT":
+                stack.push(factorial(pop()));
+                break;
+            case "ADD": binary(function (x, y) { return x + y; }); break;
+            case "SUB": binary(function (x, y) { return x - y; }); break;
+            case "MUL": binary(function (x, y) { return x * y; }); break;
+            case "DIV": binary(function (x, y) { return x / y; }); break;
+            case "POW": binary(Math.pow); break;
+            case "LT": binary(function (x, y) { return x < y; }); break;
+            case "LE": binary(function (x, y) { return x <= y; }); break;
+            case "GT": binary(function (x, y) { return x > y; }); break;
+            case "GE": binary(function (x, y) { return x >= y; }); break;
+            case "EQ": binary(function (x, y) { return x == y; }); break;
+            case "NE": binary(function (x, y) { return x != y; }); break;
+            }
+            if (trace !== undefined)
+                trace(at, stack);
+        }
+    } catch (err) {
+        if (err.loc && frames.length > 0) {
+            err.message += " (in " + frames[frames.length - 1].id + ")";
+            err.loc = bytecode.locs[frames[0].calledFrom];
+        }
+        throw err;
+    }
+}
+
+// Step mode compiles the code and runs it one instruction at a time,
+// showing the stack after each one. This returns the `trace`, as text, and
+// the `answers` from `runBytecode`, since `RESULT` takes each answer off the
+// stack before the trace can show it.
+function traceBytecode(code, env) {
+    var bytecode = compileToBytecode(code, env);
+    var lines = [];
+    var answers = runBytecode(bytecode, env, function (pc, stack) {
+        var text = disassembleInstruction(bytecode, pc);
+        lines.push((text + new Array(32).join(" ")).slice(0, 32) + "[" + stack.join(", ") + "]");
+    });
+    return {trace: lines.join("\n"), answers: answers};
+}
+
+assert.strictEqual(disassemble(compileToBytecode("1 + 2 * x")), [
+    "    0  PUSH        1",
+    "    2  PUSH        2",
+    "    4  LOAD        x",
+    "    6  MUL",
+    "    7  ADD",
+    "    8  RESULT",
+    "    9  HALT"
+].join("\n"));
+(function () {
+    var env = new Environment();
+    assert.deepEqual(runBytecode(compileToBytecode("r = 3; pi * r^2; ans / pi", env), env), [3, Math.PI * 9, 9]);
+    assert.strictEqual(env.variables.r, 3);
+
+    var bytecode = compileToBytecode("sq(t) = t * t; hyp(a, b) = sqrt(sq(a) + sq(b)); hyp(3, 4) + sq(2)", env);
+    assert.deepEqual(runBytecode(bytecode, env), [9]);
+    assert.strictEqual(disassemble(bytecode).split("\n").filter(function (line) {
+        return /:$|DEFINE/.test(line);
+    }).join(" "), "sq:     8  DEFINE      sq hyp:    27  DEFINE      hyp");
+
+    // Functions from earlier input are compiled after the main program.
+    bytecode = compileToBytecode("hyp(6, 8)", env);
+    assert.deepEqual(bytecode.functions.map(function (fn) { return fn.id; }), ["hyp", "sq"]);
+    assert.deepEqual(runBytecode(bytecode, env), [10]);
+})();
+
+// A call runs the definition that’s in effect when the call happens, even
+// if the function is defined again later.
+["f(t) = t; a = f(1); f(t) = 2*t; b = f(1)",
+ "f(t) = 1; g(t) = f(t) + 10; a = g(0); f(t) = 2; b = g(0)",
+ "g(t) = f(t) + 1; f(t) = t; g(1)"].forEach(function (code) {
+    var expected = evaluateAsFloat(code).filter(function (answer) { return answer !== undefined; });
+    assert.deepEqual(runBytecode(compileToBytecode(code)), expected);
+});
+
+// A definition is stored in the environment only if the program gets that
+// far.
+(function () {
+    var env = new Environment();
+    var bytecode = compileToBytecode("1 / nope; f(t) = t", env);
+    assert.strictEqual("f" in env.functions, false);
+    assert.throws(function () { runBytecode(bytecode, env); }, /undefined variable: nope/);
+    assert.strictEqual("f" in env.functions, false);
+
+    assert.throws(function () { traceBytecode("g(t) = 2 * t; nope", env); }, /undefined variable: nope/);
+    assert.strictEqual(evaluateAsFloat("g(3)", env), 6);
+})();
+(function () {
+    var env = new Environment();
+    runBytecode(compileToBytecode("f(t) = t", env), env);
+    assert.deepEqual(runBytecode(compileToBytecode("a = f(1); f(t) = 2*t; f(a)", env), env), [1, 2]);
+    assert.throws(function () { runBytecode(compileToBytecode("g(t) = nope(t); g(1)")); },
+                  /undefined function: nope \(in g\)/);
+
+    env = new Environment();
+    env.variables.r = 3;
+    var stepped = traceBytecode("if r > 2 then -r else 10%", env);
+    assert.deepEqual(stepped.answers, [-3]);
+    var trace = stepped.trace.split("\n");
+    assert.strictEqual(trace[0], "    0  LOAD        r            [3]");
+    assert.strictEqual(trace[3], "    5  JUMPUNLESS  12           []");
+    assert.strictEqual(trace[trace.length - 1], "   17  RESULT                   []");
+    assert.deepEqual(trace.map(function (line) { return line.slice(7, 19).trim(); }),
+                     ["LOAD", "PUSH", "GT", "JUMPUNLESS", "LOAD", "NEG", "JUMP", "RESULT"]);
+})();
+["2^3! - -3!", "(1 < 2) + (2 >= 3) * 10", "0 and 1 / 0 > 0", "1 or x", "not 0 and 1 == 1",
+ "n = 5; k = 2; n!/(k!(n-k)!)", "200 * 15%", "0.1 + 0.2 != 0.3"].forEach(function (code) {
+    var expected = evaluateAsFloat(code);
+    assert.deepEqual(runBytecode(compileToBytecode(code)), Array.isArray(expected) ? expected : [expected]);
+});
+assert.throws(function () { compileToBytecode("sqrt(1, 2)"); }, /takes 1 argument/);
+assert.throws(function () { compileToBytecode("nope(1)"); }, /undefined function: nope/);
+assert.throws(function () { runBytecode(compileToBytecode("2 * pie")); }, function (err) {
+    return err instanceof ReferenceError && err.loc.start === 4 && err.loc.end === 7;
+});
+assert.throws(function () { runBytecode(compileToBytecode("f(t) = t + zz; 1 + f(1)")); }, function (err) {
+    return err.message === "undefined variable: zz (in f)" && err.loc.start === 19;
+});
+
+
+// ### 13. WebAssembly output
+//
+// There was once a plan to have complex mode generate asm.js, a subset of
+// JS that browsers could compile ahead of time to fast machine code. asm.js
+// has since been replaced by *WebAssembly*, a compact binary format for
+// code that every browser can compile. This section generates it, for both
+// graph mode and complex mode.
+//
+// A WebAssembly module is made of numbered *sections*: the types of the
+// functions, the functions it imports from JS, the ones it defines, the
+// ones it exports, and their code. Like our bytecode in section 12, the code
+// runs on a stack machine, so compiling to it looks much the same. All our
+// numbers are `f64`s, 64-bit floating-point numbers, the same as JS numbers.
+//
+// Here are the instructions we use, and their opcodes.
+var wasmOpcodes = {
+    "if": 0x04, "else": 0x05, "end": 0x0b, "call": 0x10,
+    "local.get": 0x20, "local.set": 0x21, "local.tee": 0x22, "f64.const": 0x44,
+    "i32.eqz": 0x45, "i32.and": 0x71, "i32.or": 0x72,
+    "f64.eq": 0x61, "f64.ne": 0x62, "f64.lt": 0x63, "f64.gt": 0x64, "f64.le": 0x65, "f64.ge": 0x66,
+    "f64.abs": 0x99, "f64.neg": 0x9a, "f64.sqrt": 0x9f,
+    "f64.add": 0xa0, "f64.sub": 0xa1, "f64.mul": 0xa2, "f64.div": 0xa3,
+    "f64.convert_i32_u": 0xb8
+};
+
+// The type code for `f64`.
+var wasmF64 = 0x7c;
+
+// The operators that are a single WebAssembly instruction. Comparisons
+// produce an `i32`, 1 or 0, not an `f64`.
+var wasmInstructions = {
+    "+": "f64.add", "-": "f64.sub", "*": "f64.mul", "/": "f64.div",
+    "<": "f64.lt", "<=": "f64.le", ">": "f64.gt", ">=": "f64.ge", "==": "f64.eq", "!=": "f64.ne"
+};
+
+// WebAssembly has no `sin` or `pow` instructions, so generated code imports
+// those from JS.
+var wasmImports = {
+    sin:       {args: 1, fn: Math.sin},
+    cos:       {args: 1, fn: Math.cos},
+    exp:       {args: 1, fn: Math.exp},
+    log:       {args: 1, fn: Math.log},
+    atan2:     {args: 2, fn: Math.atan2},
+    pow:       {args: 2, fn: Math.pow},
+    factorial: {args: 1, fn: factorial}
+};
+
+// Numbers in the binary format, like counts, sizes, and indexes, are
+// written in LEB128, 7 bits per byte. The high bit of each byte says whether
+// more bytes follow.
+function unsignedLEB128(n) {
+    var bytes = [];
+    do {
+        var b = n & 0x7f;
+        n >>>= 7;
+        bytes.push(n === 0 ? b : b | 0x80);
+    } while (n !== 0);
+    return bytes;
+}
+
+// A vector is a count, followed by the items, each an array of bytes.
+function wasmVector(items) {
+    return items.reduce(function (bytes, item) { return bytes.concat(item); }, unsignedLEB128(items.length));
+}
+
+function wasmString(s) {
+    return wasmVector(s.split("").map(function (c) { return [c.charCodeAt(0)]; }));
+}
+
+function wasmSection(id, items) {
+    var contents = wasmVector(items);
+    return [id].concat(unsignedLEB128(contents.length), contents);
+}
+
+assert.deepEqual(unsignedLEB128(5), [5]);
+assert.deepEqual(unsignedLEB128(624485), [0xe5, 0x8e, 0x26]);
+assert.deepEqual(wasmString("sin"), [3, 0x73, 0x69, 0x6e]);
+
+// A `WasmFunction` collects the code of the one function a module defines.
+// Its parameters are its first locals; `newLocal` adds another.
+function WasmFunction(paramCount) {
+    this.paramCount = paramCount;
+    this.localCount = paramCount;
+    this.imports = [];  // names of the functions in `wasmImports` that it calls
+    this.bytes = [];
+}
+
+WasmFunction.prototype = {
+    // Emit an instruction, followed by any operands it takes, like the index
+    // for `local.get`.
+    emit: function (name) {
+        this.bytes.push(wasmOpcodes[name]);
+        for (var i = 1; i < arguments.length; i++)
+            this.bytes = this.bytes.concat(unsignedLEB128(arguments[i]));
+    },
+
+    // Push a constant. It’s written as the 8 bytes of the number, in
+    // little-endian order.
+    constant: function (x) {
+        var view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, x, true);
+        this.bytes.push(wasmOpcodes["f64.const"]);
+        for (var i = 0; i < 8; i++)
+            this.bytes.push(view.getUint8(i));
+    },
+
+    newLocal: function () {
+        return this.localCount++;
+    },
+
+    // Imported functions are numbered first, in the order they’re used.
+    callImport: function (name) {
+        var index = this.imports.indexOf(name);
+        if (index === -1) {
+            index = this.imports.length;
+            this.imports.push(name);
+        }
+        this.emit("call", index);
+    }
+};
+
+// Build the whole module around `fn`, which returns `resultCount` numbers.
+// It exports the function as `f`. The result is a `Uint8Array`.
+function encodeWasmModule(fn, resultCount) {
+    function f64s(n) {
+        var types = [];
+        for (var i = 0; i < n; i++)
+            types.push([wasmF64]);
+        return wasmVector(types);
+    }
+
+    function functionType(params, results) {
+        return [0x60].concat(f64s(params), f64s(results));
+    }
+
+    var index = fn.imports.length;  // the index of `fn`, after the imports
+    var types = fn.imports.map(function (name) { return functionType(wasmImports[name].args, 1); })
+                          .concat([functionType(fn.paramCount, resultCount)]);
+    var imports = fn.imports.map(function (name, i) {
+        return wasmString("math").concat(wasmString(name), [0x00], unsignedLEB128(i));
+    });
+    var extraLocals = fn.localCount - fn.paramCount;
+    var body = wasmVector(extraLocals > 0 ? [unsignedLEB128(extraLocals).concat([wasmF64])] : [])
+               .concat(fn.bytes, [wasmOpcodes.end]);
+
+    return new Uint8Array([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00].concat(
+        wasmSection(1, types),
+        wasmSection(2, imports),
+        wasmSection(3, [unsignedLEB128(index)]),
+        wasmSection(7, [wasmString("f").concat([0x00], unsignedLEB128(index))]),
+        wasmSection(10, [unsignedLEB128(body.length).concat(body)])));
+}
+
+// The imports, in the form `WebAssembly.instantiate` wants.
+var wasmImportObject = {math: {}};
+Object.keys(wasmImports).forEach(function (name) {
+    wasmImportObject.math[name] = wasmImports[name].fn;
+});
+
+// The graph-mode compiler works straight from the tree, like
+// `compileToJSFunction`, and supports the same things. Local 0 is `x`.
+//
+// Why not lower graph mode to complex mode’s IR, and share `ir_to_wasm`?
+// That IR has only arithmetic, negation, and calls to `Math` functions,
+// because that’s all complex numbers need. Graph mode also has
+// comparisons, `and`, `or`, `not`, conditionals, factorials, and
+// non-integer powers, and adding all of those to the IR would mean
+// teaching its optimizations about them too. WebAssembly is a stack
+// machine, so compiling the tree directly is simple, the same way the
+// bytecode compiler in section 12 does it.
+//
+// WebAssembly has no booleans. Comparisons produce an `i32`, 1 or 0, and we
+// convert that to an `f64`, so that booleans count as 1 and 0, as in the
+// other modes. `truth(node)` goes the other way: it leaves an `i32` that is
+// 1 if the value counts as true, that is, if it’s less than or greater than
+// 0. (`NaN` is neither.) Nothing here has side effects, so `and` and `or`
+// can simply compute both operands.
+//
+// Calls to user-defined functions are inlined. Each argument is computed
+// once, into a new local, and `scope` maps each parameter to its local.
+function compileToWasmModule(code, env) {
+    if (env === undefined)
+        env = new Environment();
+    var fn = new WasmFunction(1);
+    var scope = Object.create(null);
+    var locals = Object.create(null);
+
+    function truth(node) {
+        emit(node);
+        var t = fn.newLocal();
+        fn.emit("local.tee", t);
+        fn.constant(0);
+        fn.emit("f64.lt");
+        fn.emit("local.get", t);
+        fn.constant(0);
+        fn.emit("f64.gt");
+        fn.emit("i32.or");
+    }
+
+    var emit = makeVisitor("graph", {
+        number: function (ast) {
+            fn.constant(numberValue(ast.value));
+        },
+        name: function (ast) {
+            if (ast.id in scope)
+                fn.emit("local.get", scope[ast.id]);
+            else if (ast.id in locals)
+                fn.emit("local.get", locals[ast.id]);
+            else if (ast.id === "x")
+                fn.emit("local.get", 0);
+            else
+                fn.constant(toFloat(env.lookup(ast)));
+        },
+        "+ - * /": function (ast) {
+            emit(ast.left);
+            emit(ast.right);
+            fn.emit(wasmInstructions[ast.type]);
+        },
+        "^": function (ast) {
+            emit(ast.left);
+            emit(ast.right);
+            fn.callImport("pow");
+        },
+        "< <= > >= == !=": function (ast) {
+            emit(ast.left);
+            emit(ast.right);
+            fn.emit(wasmInstructions[ast.type]);
+            fn.emit("f64.convert_i32_u");
+        },
+        "and or": function (ast) {
+            truth(ast.left);
+            truth(ast.right);
+            fn.emit(ast.type === "and" ? "i32.and" : "i32.or");
+            fn.emit("f64.convert_i32_u");
+        },
+        not: function (ast) {
+            truth(ast.operand);
+            fn.emit("i32.eqz");
+            fn.emit("f64.convert_i32_u");
+        },
+        "if": function (ast) {
+            truth(ast.test);
+            fn.emit("if", wasmF64);  // both branches produce an f64
+            emit(ast.consequent);
+            fn.emit("else");
+            emit(ast.alternate);
+            fn.emit("end");
+        },
+        neg: function (ast) {
+            emit(ast.operand);
+            fn.emit("f64.neg");
+        },
+        pos: function (ast) {
+            emit(ast.operand);
+        },
+        factorial: function (ast) {
+            emit(ast.operand);
+            fn.callImport("factorial");
+        },
+        percent: function (ast) {
+            emit(ast.operand);
+            fn.constant(100);
+            fn.emit("f64.div");
+        },
+        call: function (ast) {
+            if (isBuiltinFunction(ast.id)) {
+                lookupFunction(ast);
+                ast.args.forEach(emit);
+                if (ast.id === "sqrt" || ast.id === "abs")
+                    fn.emit("f64." + ast.id);
+                else
+                    fn.callImport(ast.id);
+                return;
+            }
+            var args = ast.args.map(function (arg) {
+                emit(arg);
+                var t = fn.newLocal();
+                fn.emit("local.set", t);
+                return t;
+            });
+            callUserFunction(env, ast, args, function (body, bodyScope) {
+                var outer = scope, outerLocals = locals;
+                scope = bodyScope;
+                locals = Object.create(null);
+                try {
+                    emit(body);
+                } finally {
+                    scope = outer;
+                    locals = outerLocals;
+                }
+            });
+        },
+        // Statements are handled by `compileStatements`.
+        "assign define program": null,
+        error: null
+    });
+
+    return compileStatements(toAST(code), env, "graph", function (statement) {
+        emit(statement.expr);
+        locals[statement.id] = fn.newLocal();
+        fn.emit("local.set", locals[statement.id]);
+    }, function (expr) {
+        emit(expr);
+        return encodeWasmModule(fn, 1);
+    });
+}
+
+// Compiling a module is asynchronous, since a big one can take a while, so
+// these two return a promise of the same kind of function that graph mode
+// and complex mode return. If the input ends with a definition, there’s
+// nothing to compile, and they return `undefined`.
+function loadWasmFunction(bytes) {
+    return WebAssembly.instantiate(bytes, wasmImportObject).then(function (result) {
+        return result.instance.exports.f;
+    });
+}
+
+function compileToWasmFunction(code, env) {
+    var bytes = compileToWasmModule(code, env);
+    return bytes && loadWasmFunction(bytes);
+}
+
+// A WebAssembly function that returns two numbers returns them to JS as an
+// array.
+function compileToComplexWasmFunction(code, env) {
+    var bytes = compileToComplexFunction(code, env, "wasm");
+    return bytes && loadWasmFunction(bytes).then(function (f) {
+        return function (z_re, z_im) {
+            var result = f(z_re, z_im);
+            return {re: result[0], im: result[1]};
+        };
+    });
+}
+
+// The tests load modules synchronously, which is fine for small ones.
+if (typeof WebAssembly === "object") {
+    (function () {
+        function load(bytes) {
+            return new WebAssembly.Instance(new WebAssembly.Module(bytes), wasmImportObject).exports.f;
+        }
+
+        function graph(code, env) {
+            return load(compileToWasmModule(code, env));
+        }
+
+        assert.strictEqual(graph("x*x - 2*x + 1")(3), 4);
+        assert.strictEqual(graph("-x - -x*x")(3), 6);
+        assert.strictEqual(graph("x^2 - 2^x")(3), 1);
+        assert.strictEqual(graph("sqrt(x*x) + abs(x) + sin(0)")(-3), 6);
+        assert.strictEqual(graph("x * pi")(2), 2 * Math.PI);
+        assert.strictEqual(graph("x! / 50%")(4), 48);
+        assert.strictEqual(graph("x < 0 ? -x : x")(-2), 2);
+        assert.strictEqual(graph("if x < 0 or x > 1 then 0 else x")(1.5), 0);
+        assert.strictEqual(graph("(x >= 0 and not x == 1) * x")(3), 3);
+        assert.strictEqual(graph("(x >= 0 and not x == 1) * x")(1), 0);
+        assert.strictEqual(graph("if 0/0 then 1 else 2")(0), 2);
+        assert.strictEqual(graph("x = 2 * x; v = x + 1; cube(t) = t^3; cube(v)")(1), 27);
+        assert.strictEqual(graph("sq(t) = t * t; h(a, b) = sqrt(sq(a) + sq(b)); h(x, 4)")(3), 5);
+        assert.strictEqual(compileToWasmModule("f(t) = t"), undefined);
+        assert.throws(function () { compileToWasmModule("x * y"); }, ReferenceError);
+        assert.throws(function () { compileToWasmModule("h(t) = a * t; a = 2; h(x)"); }, /undefined variable: a/);
+        ["x*x - 2*x + 1", "(x != 2) + x", "x^0.5 + exp(x) - log(x) * cos(x)", "0b11x + 1_000"].forEach(function (code) {
+            assert.strictEqual(graph(code)(2), compileToJSFunction(code)(2));
+        });
+
+        function complex(code) {
+            var result = load(compileToComplexFunction(code, undefined, "wasm"))(2, 3);
+            return {re: result[0], im: result[1]};
+        }
+
+        ["z", "(z+1)/(z-1)", "z^3 - i*z + 5", "exp(z) + log(z)", "sqrt(z) * sin(z) / cos(z)",
+         "a = z*z; a*a - a", "abs(z) + 10%"].forEach(function (code) {
+            var expected = compileToComplexFunction(code)(2, 3), actual = complex(code);
+            assert(Math.abs(actual.re - expected.re) < 1e-9 && Math.abs(actual.im - expected.im) < 1e-9, code);
+        });
+    })();
+}
+
+// Graph mode and complex mode can use these instead of their usual
+// compilers.
+var webAssemblyModes = {
+    graph: compileToWasmFunction,
+    complex: compileToComplexWasmFunction
+};
+
+// The last bit of code here simply stores the back ends from all thirteen
+// sections in one place where other code can get to them.
 var parseModes = {
     json: convertToJSON,
     blocks: convertToDOM,
     mathml: convertToMathML,
+    latex: convertToLaTeX,
+    tree: convertToSVGTree,
     calc: evaluateAsFloat,
     fraction: evaluateAsFraction,
     graph: compileToJSFunction,
-    complex: compileToComplexFunction
+    complex: compileToComplexFunction,
+    format: formatCode,
+    sexpr: convertToSExpr,
+    rpn: convertToRPN,
+    bytecode: compileToBytecode,
+    step: traceBytecode
 };
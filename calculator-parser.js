@@ -16,47 +16,485 @@
 
 // ## Part One – Breaking code down into tokens
 
-// This function, `tokenize(code)`, takes a string `code` and splits it into
-// *tokens*, the numbers, words, and symbols that make up our little calculator
-// mini-language.
-function tokenize(code) {
+// The first step is to split the input into *tokens*, the numbers, words,
+// and symbols that make up our little calculator mini-language. Every token
+// is one of these kinds:
+var TokenKind = {
+    NUMBER: "number",           // `42`, `1.5`, `.25`, `6.02e23`, `0xff`, `1_000`
+    NAME: "name",               // `x`, `pi`, `sqrt`
+    KEYWORD: "keyword",         // `let`, `if`, `and`, ...
+    OPERATOR: "operator",       // `+ - * / ^ ** ! % < <= > >= == !=` (see below)
+    PUNCTUATION: "punctuation", // `( ) , = ; ? :`
+    COMMENT: "comment"          // `# ...`, `// ...`, `/* ... */` (see below)
+};
+
+// These words look like names, but they’re part of the language’s syntax,
+// so they can’t be used as the names of variables or functions.
+var keywords = ["let", "if", "then", "else", "and", "or", "not"];
+
+// ### The operator table
+//
+// Everything the scanner and the parser know about operators is in one
+// table, `operators`. Each operator symbol can be used in up to three ways,
+// and has an entry for each:
+//
+// *   `prefix`, in front of its operand, like the `-` in `-x`;
+// *   `infix`, between two operands, like the `-` in `x - y`;
+// *   `postfix`, after its operand.
+//
+// Each entry gives the `type` of node the parser should build, and the
+// operator’s `precedence`. Operators with higher precedence bind more
+// tightly: `*` has higher precedence than `+`, so `1 + 2 * 3` means
+// `1 + (2 * 3)`.
+//
+// Infix entries also have an `associativity`, which says what happens when
+// there are two operators of the same precedence in a row. `"left"` means
+// `a - b - c` is `(a - b) - c`; `"right"` means `a ^ b ^ c` is
+// `a ^ (b ^ c)`; and `"none"` means it’s an error, with the message
+// `chainError`, if there is one.
+var operators = Object.create(null);
+
+// Operators can be typed in plain ASCII, or pasted in using the fancier
+// Unicode symbols that Scratch mode and MathML mode display. This table maps
+// each way of writing an operator to the ASCII spelling, so the parser only
+// has to deal with one. `registerOperator` fills it in.
+var operatorSpellings = Object.create(null);
+
+// `registerOperator(symbol, definition)` adds an operator to the table.
+// `definition` has a `prefix`, `infix`, or `postfix` entry, or more than one,
+// as described above; and optionally `aliases`, an array of other ways to
+// type the operator. An operator that’s a word, like `and`, becomes a
+// keyword.
+//
+// Applications that embed the calculator can register operators of their
+// own. The parser will handle them, but the back ends only know about the
+// operators registered below. Each back end throws an "unsupported operator"
+// error when it comes across any other.
+function registerOperator(symbol, definition) {
+    operators[symbol] = definition;
+    if (/^[A-Za-z]+$/.test(symbol)) {
+        if (keywords.indexOf(symbol) === -1)
+            keywords.push(symbol);
+    } else {
+        operatorSpellings[symbol] = symbol;
+    }
+    var aliases = definition.aliases || [];
+    for (var i = 0; i < aliases.length; i++)
+        operatorSpellings[aliases[i]] = symbol;
+}
+
+// `unregisterOperator(symbol)` undoes `registerOperator`, removing the
+// operator, all its spellings, and its keyword, if it has one.
+function unregisterOperator(symbol) {
+    delete operators[symbol];
+    for (var spelling in operatorSpellings) {
+        if (operatorSpellings[spelling] === symbol)
+            delete operatorSpellings[spelling];
+    }
+    var k = keywords.indexOf(symbol);
+    if (/^[A-Za-z]+$/.test(symbol) && k !== -1)
+        keywords.splice(k, 1);
+}
+
+// Here are the operators, from the loosest to the tightest binding.
+registerOperator("or", {infix: {type: "or", precedence: 10, associativity: "left"}});
+registerOperator("and", {infix: {type: "and", precedence: 20, associativity: "left"}});
+registerOperator("not", {prefix: {type: "not", precedence: 30}});
+
+// Comparisons don’t chain: `0 < x < 1` would mean `(0 < x) < 1` in
+// JavaScript, which is never what anyone wants.
+function comparison(type) {
+    return {
+        type: type,
+        precedence: 40,
+        associativity: "none",
+        chainError: "comparisons can't be chained; use 'and'"
+    };
+}
+registerOperator("<", {infix: comparison("<")});
+registerOperator("<=", {infix: comparison("<="), aliases: ["\u2264"]});  // &le;
+registerOperator(">", {infix: comparison(">")});
+registerOperator(">=", {infix: comparison(">="), aliases: ["\u2265"]});  // &ge;
+registerOperator("==", {infix: comparison("==")});
+registerOperator("!=", {infix: comparison("!="), aliases: ["\u2260"]});  // &ne;
+
+// A minus sign in front of an expression negates it. A plus sign does
+// nothing, but it’s allowed, and it gets its own node anyway, so that back
+// ends that display the code can show it as written.
+registerOperator("+", {
+    infix: {type: "+", precedence: 50, associativity: "left"},
+    prefix: {type: "pos", precedence: 70}
+});
+registerOperator("-", {
+    infix: {type: "-", precedence: 50, associativity: "left"},
+    prefix: {type: "neg", precedence: 70},
+    aliases: ["\u2212"]  // &minus;
+});
+registerOperator("*", {
+    infix: {type: "*", precedence: 60, associativity: "left"},
+    aliases: ["\u00d7", "\u00b7", "\u22c5"]  // &times; &middot; &sdot;
+});
+registerOperator("/", {
+    infix: {type: "/", precedence: 60, associativity: "left"},
+    aliases: ["\u00f7"]  // &divide;
+});
+
+// Multiplication can also be written the way it is on paper, with no
+// operator at all: `2x`, `3(z + 1)`, `2pi`, `(a)(b)`, `4 sin(x)`. This
+// *implicit multiplication* isn’t in the table, since there’s no symbol to
+// look up, but it has a precedence like any other operator. It binds more
+// tightly than `*` and `/`, so `1/2x` means 1/(2*x*), but not as tightly as
+// `^`, so `2x^2` means 2(*x*<sup>2</sup>).
+var implicitMultiplication = {type: "*", precedence: 65, associativity: "left"};
+
+// Exponentiation binds more tightly than anything else, and it’s
+// right-associative. `**` is another way to spell `^`. Since it binds more
+// tightly than negation, `-2^2` is −(2<sup>2</sup>).
+registerOperator("^", {infix: {type: "^", precedence: 80, associativity: "right"}});
+registerOperator("**", {infix: {type: "^", precedence: 80, associativity: "right"}});
+
+// The postfix operators bind most tightly of all. `n!` is the factorial of
+// *n*, and `15%` means 15/100. So `2^3!` is 2<sup>6</sup>, and `-3!` is −6.
+registerOperator("!", {postfix: {type: "factorial", precedence: 90}});
+registerOperator("%", {postfix: {type: "percent", precedence: 90}});
+
+// `operatorSymbol(type)` returns the symbol for an operator node type, like
+// `"-"` for `"neg"`, for error messages.
+function operatorSymbol(type) {
+    for (var symbol in operators) {
+        var op = operators[symbol];
+        if ((op.prefix && op.prefix.type === type) ||
+            (op.infix && op.infix.type === type) ||
+            (op.postfix && op.postfix.type === type))
+            return symbol;
+    }
+    return type;
+}
+
+var punctuation = "(),=;?:";
+
+// A number can be written in decimal, with an optional fraction part and
+// exponent, or as a whole number in base 16, 2, or 8, with a prefix: `0xff`,
+// `0b1010`, `0o777`. In either case, long numbers can have underscores
+// between the digits to make them easier to read, like `1_000_000`.
+var numberPattern = new RegExp(
+    "^(?:0[xX][0-9a-fA-F](?:_?[0-9a-fA-F])*" +
+    "|0[bB][01](?:_?[01])*" +
+    "|0[oO][0-7](?:_?[0-7])*" +
+    "|(?:[0-9](?:_?[0-9])*\\.?(?:[0-9](?:_?[0-9])*)?|\\.[0-9](?:_?[0-9])*)" +
+    "(?:[eE][+-]?[0-9](?:_?[0-9])*)?)");
+
+// ### The scanner
+//
+// `tokenize(code)` takes a string `code` and returns an array of tokens.
+// It’s a *scanner*: it walks through `code` one token at a time, deciding
+// what kind of token comes next by looking at the next character or two.
+//
+// Each token is an object. `kind` is one of the `TokenKind` values, and
+// `value` is the text of the token. The rest of the properties say where the
+// token is in `code`: `start` and `end` are offsets into the string, and
+// `line` and `column` tell where the token starts, counting from 1, the way
+// a text editor would. (The input can be more than one line long. In the
+// REPL, shift-enter starts a new line.)
+//
+// Characters that can’t start any kind of token are an error, reported right
+// away, with the location of the bad character.
+//
+// Statements are separated by semicolons, but nobody wants to type those at
+// the end of every line. So, like Go, the scanner treats a line break as a
+// `;` token if the line so far could be a complete statement: that is, if
+// the last token was a number, a name, a `)`, or a postfix operator like
+// `!`, and there are no parentheses still open; and if the next line starts
+// with something that can start a statement. So a line that ends with `+`
+// carries on to the next line, and so does a line followed by one that
+// starts with `then` or `*`, and so does anything inside parentheses.
+//
+// Comments are written `# like this` or `// like this`, to the end of the
+// line, or `/* like this */`. They don’t mean anything, so they aren’t
+// tokens, and the parser never sees them. But we don’t throw them away,
+// either. Tools that want to reproduce the input, comments and all, can find
+// them attached to the tokens as *trivia*: each token has an array of the
+// comments just before it, as `token.leadingComments`, and the last token
+// has any comments after it, as `token.trailingComments`. Comments have the
+// same properties as tokens. Their `kind` is `TokenKind.COMMENT`, and their
+// `value` is the full text of the comment. (A block comment that spans more
+// than one line counts as a line break.)
+//
+// Normally a character that can't be part of any token is an error. If you
+// pass an array as `diagnostics`, the scanner adds the error to it instead,
+// skips the bad character, and carries on. (See "Error recovery" below.)
+function tokenize(code, diagnostics) {
     var results = [];
-    var tokenRegExp = /\s*([A-Za-z]+|[0-9]+|\S)\s*/g;
+    var pos = 0;
+    var line = 1, lineStart = 0;  // so we can compute columns
+    var depth = 0;  // how many parentheses are open
+    var lineBreak = null;  // a `;` token to add before the next token, if any
+    var comments = [];  // comments to attach to the next token
 
-    var m;
-    while ((m = tokenRegExp.exec(code)) !== null)
-        results.push(m[1]);
+    // Report an error, or, when recovering, just make a note of it.
+    function fail(err) {
+        if (diagnostics === undefined)
+            throw err;
+        diagnostics.push(err);
+    }
+
+    // Add a token that starts at `pos` and ends at `end`, then skip past it.
+    function addToken(kind, value, end) {
+        if (lineBreak !== null) {
+            if (canStartStatement(kind, value))
+                results.push(lineBreak);
+            lineBreak = null;
+        }
+        var token = {kind: kind, value: value, start: pos, end: end,
+                     line: line, column: pos - lineStart + 1};
+        if (comments.length > 0) {
+            token.leadingComments = comments;
+            comments = [];
+        }
+        results.push(token);
+        pos = end;
+    }
+
+    // Add a comment that starts at `pos` and ends at `end`, then skip past it.
+    function addComment(end) {
+        comments.push({kind: TokenKind.COMMENT, value: code.slice(pos, end), start: pos, end: end,
+                       line: line, column: pos - lineStart + 1});
+        for (var i = pos; i < end; i++) {
+            if (code.charAt(i) === "\n")
+                newLine(i);
+        }
+        pos = end;
+    }
+
+    // Note that there’s a line break at `code[i]`, and decide whether it
+    // ends a statement.
+    function newLine(i) {
+        var last = results[results.length - 1];
+        if (lineBreak === null && depth === 0 && last !== undefined && canEndStatement(last)) {
+            lineBreak = {kind: TokenKind.PUNCTUATION, value: ";", start: i, end: i + 1,
+                         line: line, column: i - lineStart + 1};
+        }
+        line++;
+        lineStart = i + 1;
+    }
+
+    function canEndStatement(token) {
+        return token.kind === TokenKind.NUMBER ||
+               token.kind === TokenKind.NAME ||
+               token.value === ")" ||
+               (token.kind === TokenKind.OPERATOR && operators[token.value].postfix !== undefined);
+    }
+
+    function canStartStatement(kind, value) {
+        return kind === TokenKind.NUMBER ||
+               kind === TokenKind.NAME ||
+               ["let", "if", "("].indexOf(value) !== -1 ||
+               (value in operators && operators[value].prefix !== undefined);
+    }
+
+    // When one operator’s spelling is the start of another’s, like `*` and
+    // `**`, we want the longer one, so look for the longest spellings first.
+    var spellings = Object.keys(operatorSpellings).sort(function (a, b) {
+        return b.length - a.length;
+    });
+    function matchOperator() {
+        for (var i = 0; i < spellings.length; i++) {
+            if (code.substr(pos, spellings[i].length) === spellings[i])
+                return spellings[i];
+        }
+        return null;
+    }
+
+    while (pos < code.length) {
+        var c = code.charAt(pos);
+        var m;
+
+        if (c === "\n") {
+            newLine(pos);
+            pos++;
+        } else if (/\s/.test(c)) {
+            pos++;
+        } else if (c === "#" || code.substr(pos, 2) === "//") {
+            var endOfLine = code.indexOf("\n", pos);
+            addComment(endOfLine === -1 ? code.length : endOfLine);
+        } else if (code.substr(pos, 2) === "/*") {
+            var close = code.indexOf("*/", pos + 2);
+            if (close === -1) {
+                fail(errorAt(SyntaxError, "unterminated comment", locate(code, pos, pos + 2)));
+                close = code.length - 2;  // the comment runs to the end
+            }
+            addComment(close + 2);
+        } else if ((m = numberPattern.exec(code.slice(pos))) !== null) {
+            addToken(TokenKind.NUMBER, m[0], pos + m[0].length);
+        } else if ((m = /^[A-Za-z]+/.exec(code.slice(pos))) !== null) {
+            var kind = keywords.indexOf(m[0]) !== -1 ? TokenKind.KEYWORD : TokenKind.NAME;
+            addToken(kind, m[0], pos + m[0].length);
+        } else if ((m = matchOperator()) !== null) {
+            addToken(TokenKind.OPERATOR, operatorSpellings[m], pos + m.length);
+        } else if (punctuation.indexOf(c) !== -1) {
+            if (c === "(")
+                depth++;
+            else if (c === ")" && depth > 0)
+                depth--;
+            addToken(TokenKind.PUNCTUATION, c, pos + 1);
+        } else {
+            fail(errorAt(SyntaxError, "unexpected character '" + c + "'", locate(code, pos, pos + 1)));
+            pos++;
+        }
+    }
+
+    // Comments at the very end go with the last token. (If there are no
+    // tokens at all, there’s nothing to attach them to.)
+    if (comments.length > 0 && results.length > 0)
+        results[results.length - 1].trailingComments = comments;
     return results;
 }
 
-// Let’s test as we go!
+// `locate(code, start, end)` describes where the text `code.slice(start, end)`
+// is: it returns an object with the same `start`, `end`, `line` and `column`
+// properties as a token.
+function locate(code, start, end) {
+    var linesBefore = code.slice(0, start).split("\n");
+    return {
+        start: start,
+        end: end,
+        line: linesBefore.length,
+        column: linesBefore[linesBefore.length - 1].length + 1
+    };
+}
+
+// When something is wrong with the input, we throw an error that says where
+// the problem is, as `error.loc`. The `loc` argument can be a token, or the
+// `loc` of an AST node (see below), or anything else with `start`, `end`,
+// `line` and `column` properties.
+function errorAt(ErrorType, message, loc) {
+    var err = new ErrorType(message);
+    err.loc = {start: loc.start, end: loc.end, line: loc.line, column: loc.column};
+    return err;
+}
+
+// Let’s test as we go! Most of these tests only care about the text of the
+// tokens, so here’s a helper that pulls that out.
 var assert = require('assert');
-assert.deepEqual(tokenize("123\n"), ["123"]);
-assert.deepEqual(tokenize("2+2"), ["2", "+", "2"]);
-assert.deepEqual(tokenize("+-*/"), ["+", "-", "*", "/"]);
-assert.deepEqual(tokenize("   1   * 24 +\n\n  pi"), ["1", "*", "24", "+", "pi"]);
-assert.deepEqual(tokenize("()"), ["(", ")"]);
-assert.deepEqual(tokenize("    "), []);
+function tokenValues(code) {
+    return tokenize(code).map(function (t) { return t.value; });
+}
+assert.deepEqual(tokenValues("123\n"), ["123"]);
+assert.deepEqual(tokenValues("2+2"), ["2", "+", "2"]);
+assert.deepEqual(tokenValues("+-*/"), ["+", "-", "*", "/"]);
+assert.deepEqual(tokenValues("2**x^2"), ["2", "**", "x", "^", "2"]);
+assert.deepEqual(tokenValues("   1   * 24 +\n\n  pi"), ["1", "*", "24", "+", "pi"]);
+assert.deepEqual(tokenValues("()"), ["(", ")"]);
+assert.deepEqual(tokenValues("let r=1"), ["let", "r", "=", "1"]);
+assert.deepEqual(tokenValues("1.5*.25"), ["1.5", "*", ".25"]);
+assert.deepEqual(tokenValues("6.02e23 - 1E-3"), ["6.02e23", "-", "1E-3"]);
+assert.deepEqual(tokenValues("2e"), ["2", "e"]);
+assert.deepEqual(tokenValues("    "), []);
+assert.deepEqual(tokenValues("2 \u00d7 3 \u2212 4 \u00f7 5"), ["2", "*", "3", "-", "4", "/", "5"]);
+assert.deepEqual(tokenize("   1   * 24 +\n\n  pi"), [
+    {kind: "number", value: "1", start: 3, end: 4, line: 1, column: 4},
+    {kind: "operator", value: "*", start: 7, end: 8, line: 1, column: 8},
+    {kind: "number", value: "24", start: 9, end: 11, line: 1, column: 10},
+    {kind: "operator", value: "+", start: 12, end: 13, line: 1, column: 13},
+    {kind: "name", value: "pi", start: 17, end: 19, line: 3, column: 3}
+]);
+assert.deepEqual(tokenValues("x = 1; y = 2"), ["x", "=", "1", ";", "y", "=", "2"]);
+assert.deepEqual(tokenValues("x = 1\n\ny = 2\n"), ["x", "=", "1", ";", "y", "=", "2"]);
+assert.deepEqual(tokenValues("f(1,\n2)\n-3"), ["f", "(", "1", ",", "2", ")", ";", "-", "3"]);
+assert.deepEqual(tokenValues("x <= 1 \u2260 y==2!=z>=0"),
+                 ["x", "<=", "1", "!=", "y", "==", "2", "!=", "z", ">=", "0"]);
+assert.deepEqual(tokenValues("if x\nthen 1\nelse 2\n"), ["if", "x", "then", "1", "else", "2"]);
+assert.deepEqual(tokenValues("x < 0\n  ? -x\n  : x\n-x"), ["x", "<", "0", "?", "-", "x", ":", "x", ";", "-", "x"]);
+assert.strictEqual(tokenize("not x")[0].kind, "keyword");
+assert.deepEqual(tokenize("1\n2")[1],
+                 {kind: "punctuation", value: ";", start: 1, end: 2, line: 1, column: 2});
+assert.deepEqual(tokenValues("1 + # one\n2 // two\n/* three */ * 3 /**/"), ["1", "+", "2", "*", "3"]);
+assert.deepEqual(tokenValues("x = 1 # set x\ny = 2"), ["x", "=", "1", ";", "y", "=", "2"]);
+assert.deepEqual(tokenValues("x = 1 /* a\nb */ y = 2"), ["x", "=", "1", ";", "y", "=", "2"]);
+assert.deepEqual(tokenValues("1 /* 2 */ + 3"), ["1", "+", "3"]);
+assert.deepEqual(tokenValues("# nothing but a comment"), []);
+var tokensWithComments = tokenize("# total cost\n2 * /* tax */ 1.08 // rate");
+assert.deepEqual(tokensWithComments[0].leadingComments, [
+    {kind: "comment", value: "# total cost", start: 0, end: 12, line: 1, column: 1}
+]);
+assert.deepEqual(tokensWithComments[2].leadingComments, [
+    {kind: "comment", value: "/* tax */", start: 17, end: 26, line: 2, column: 5}
+]);
+assert.deepEqual(tokensWithComments[2].trailingComments, [
+    {kind: "comment", value: "// rate", start: 32, end: 39, line: 2, column: 20}
+]);
+assert.strictEqual(tokenize("/* a\nb */ x")[0].line, 2);
+assert.throws(function () { tokenize("1 + /* oops\n2"); }, function (err) {
+    return err instanceof SyntaxError &&
+        err.message === "unterminated comment" &&
+        err.loc.start === 4 && err.loc.end === 6 && err.loc.line === 1 && err.loc.column === 5;
+});
+assert.throws(function () { tokenize("2 $ 3"); }, function (err) {
+    return err instanceof SyntaxError &&
+        err.message === "unexpected character '$'" &&
+        err.loc.start === 2 && err.loc.end === 3;
+});
+assert.throws(function () { tokenize("1 +\n ."); }, function (err) {
+    return err.loc.line === 2 && err.loc.column === 2;
+});
 
 
 
-// Here are a few helper functions for working with tokens. To keep things
-// simple, a number is any sequence of digits.
+// Here are a few helper functions for working with tokens.
 function isNumber(token) {
-    return token !== undefined && token.match(/^[0-9]+$/) !== null;
+    return token !== undefined && token.kind === TokenKind.NUMBER;
 }
 
-// And a *name*, or identifier, is any sequence of letters.
 function isName(token) {
-    return token !== undefined && token.match(/^[A-Za-z]+$/) !== null;
+    return token !== undefined && token.kind === TokenKind.NAME;
 }
 
 // Tests.
-assert(isNumber("123"));
-assert(!isNumber("x"));
-assert(!isNumber("-"));
-assert(isName("xyz"));
-assert(!isName("+"));
+assert(isNumber(tokenize("123")[0]));
+assert(isNumber(tokenize("1.5")[0]));
+assert(isNumber(tokenize(".25")[0]));
+assert(isNumber(tokenize("6.02e23")[0]));
+assert(isNumber(tokenize("1e-9")[0]));
+assert.deepEqual(tokenValues("1e"), ["1", "e"]);
+assert(!isNumber(tokenize("x")[0]));
+assert(!isNumber(tokenize("-")[0]));
+assert(isName(tokenize("xyz")[0]));
+assert(!isName(tokenize("+")[0]));
+assert(!isName(tokenize("let")[0]));
+assert.deepEqual(tokenValues("0xff + 0B1010 * 0o17"), ["0xff", "+", "0B1010", "*", "0o17"]);
+assert.deepEqual(tokenValues("1_000_000.000_1e1_0"), ["1_000_000.000_1e1_0"]);
+assert.deepEqual(tokenValues("0x1F_FFz"), ["0x1F_FF", "z"]);
+assert.deepEqual(tokenValues("0b12"), ["0b1", "2"]);
+assert.deepEqual(tokenValues("0x"), ["0", "x"]);
+assert.throws(function () { tokenize("1__0"); }, SyntaxError);
+assert.throws(function () { tokenize("1_"); }, SyntaxError);
+
+// The parser keeps number tokens exactly as they were typed, so the back
+// ends that display code can show them that way. To get the value of one,
+// the other back ends use these functions. `splitNumber(text)` returns the
+// `radix` of the number `text` (2, 8, 10, or 16), and its `digits`, without
+// any prefix or underscores. `numberValue(text)` returns its value as a JS
+// number.
+var radixPrefixes = {x: 16, b: 2, o: 8};
+
+function splitNumber(text) {
+    var digits = text.replace(/_/g, "");
+    var m = /^0([xXbBoO])(.*)$/.exec(digits);
+    if (m === null)
+        return {radix: 10, digits: digits};
+    return {radix: radixPrefixes[m[1].toLowerCase()], digits: m[2]};
+}
+
+function numberValue(text) {
+    var n = splitNumber(text);
+    return n.radix === 10 ? parseFloat(n.digits) : parseInt(n.digits, n.radix);
+}
+
+assert.deepEqual(splitNumber("0XFF_FF"), {radix: 16, digits: "FFFF"});
+assert.deepEqual(splitNumber("1_0.5e3"), {radix: 10, digits: "10.5e3"});
+assert.strictEqual(numberValue("0b1010_1010"), 170);
+assert.strictEqual(numberValue("0o777"), 511);
+assert.strictEqual(numberValue("1_000.5"), 1000.5);
 
 
 // ## Part Two – The parser
@@ -67,113 +505,494 @@ assert(!isName("+"));
 // (This is just like the way a Web browser decodes an HTML file and builds the
 // DOM. The part that does that is called the HTML parser.)
 
-// Parse the given string `code` as an expression in our little language.
+// Parse the given string `code` as a program in our little language: one or
+// more statements, each of which is an expression, an assignment to a
+// variable, or a function definition.
 //
-function parse(code) {
+// If the code has a syntax error, `parse` throws. But if you pass an array as
+// `diagnostics`, it *recovers* instead: it adds each error to the array,
+// patches the tree with `error` nodes where something is missing, and keeps
+// going, so that it can report all the errors at once. (See "Error recovery"
+// below.)
+function parse(code, diagnostics) {
     // Break the input into tokens.
-    var tokens = tokenize(code);
+    var tokens = tokenize(code, diagnostics);
 
     // The parser will do a single left-to-right pass over `tokens`, with no
     // backtracking. `position` is the index of the next token. Start at
     // 0. We’ll increment this as we go.
     var position = 0;
 
-    // `peek()` returns the next token without advancing `position`.
-    function peek() {
-        return tokens[position];
+    // `peek()` returns the text of the next token without advancing
+    // `position`. At the end of the input, it returns `undefined`.
+    // `peek(1)` looks one token further ahead.
+    function peek(offset) {
+        var i = position + (offset || 0);
+        return i < tokens.length ? tokens[i].value : undefined;
     }
 
     // `consume(token)` consumes one token, moving `position` to point to the next one.
     function consume(token) {
-        assert.strictEqual(token, tokens[position]);
+        assert.strictEqual(token, peek());
         position++;
     }
 
+    // `here()` returns the location of the next token, for error messages.
+    // At the end of the input, that’s the empty bit of code just past the
+    // last character.
+    function here() {
+        return position < tokens.length ? tokens[position] : locate(code, code.length, code.length);
+    }
+
+    // When the parser finds a mistake, it calls `fail(err)`. Normally that
+    // throws `err`. When recovering, it makes a note of the error and returns,
+    // and the caller carries on as best it can. One mistake often confuses
+    // the parser more than once in the same spot, as in `if x then 1`, where
+    // both `else` and the expression after it are missing; only the first
+    // error in each spot is worth reporting.
+    function fail(err) {
+        if (diagnostics === undefined)
+            throw err;
+        var last = diagnostics[diagnostics.length - 1];
+        if (last === undefined || last.loc.start !== err.loc.start)
+            diagnostics.push(err);
+    }
+
+    // When recovering, skip ahead to the end of the current statement.
+    function skipStatement() {
+        while (position < tokens.length && peek() !== ";")
+            position++;
+    }
+
+    // A missing `)` is easier to fix if the error message also points out
+    // where the matching `(` was. `open` is the `(` token.
+    //
+    // To recover, skip ahead to the `)`, if there is one before the end of the
+    // statement. Otherwise, carry on as if it were there.
+    function closeParen(open, message) {
+        if (peek() !== ")") {
+            var err = errorAt(SyntaxError, message, here());
+            err.hint = {
+                message: "did you forget a closing parenthesis opened here?",
+                loc: locate(code, open.start, open.end)
+            };
+            fail(err);
+
+            var depth = 0;
+            while (position < tokens.length && peek() !== ";" && !(peek() === ")" && depth === 0)) {
+                if (peek() === "(")
+                    depth++;
+                else if (peek() === ")")
+                    depth--;
+                position++;
+            }
+            if (peek() !== ")")
+                return;
+        }
+        consume(")");
+    }
+
+    // Every node the parser builds remembers which part of `code` it came
+    // from, as `node.loc`. `first` is the first token of the node, and the
+    // node ends with the token we consumed most recently.
+    //
+    // The `loc` property is non-enumerable, so it doesn’t clutter up the
+    // JSON output, and tests that compare trees can ignore it.
+    function withLoc(node, first) {
+        var last = tokens[position - 1];
+        Object.defineProperty(node, "loc", {
+            value: {start: first.start, end: last.end, line: first.line, column: first.column},
+            writable: true,
+            configurable: true
+        });
+        return node;
+    }
+
+    // An `error` node stands in for a piece of the program the parser
+    // couldn't make sense of. It starts at token index `start`, and ends
+    // with the token we consumed most recently. If there's nothing
+    // between the two, the node is empty, and sits just before the next token.
+    function errorNode(err, start) {
+        var node = {type: "error", message: err.message};
+        if (position > start)
+            return withLoc(node, tokens[start]);
+        var loc = here();
+        Object.defineProperty(node, "loc", {
+            value: {start: loc.start, end: loc.start, line: loc.line, column: loc.column},
+            writable: true,
+            configurable: true
+        });
+        return node;
+    }
+
     // Now we have the functions that are actually responsible for parsing.
     // This is the cool part. Each group of syntax rules is translated to one
     // function.
 
-    // Parse a *PrimaryExpr*—that is, tokens matching one of the three syntax
+    // Parse a *PrimaryExpr*—that is, tokens matching one of the four syntax
     // rules below. Whatever kind of expression we find, we return the corresponding
     // JS object.
     //
+    // A name immediately followed by an open parenthesis is a function call,
+    // like `sin(x)`. The arguments are separated by commas.
+    //
     // <div style="margin-left: 2em">
     //  <div>*PrimaryExpr* **:**</div>
     //  <div style="margin-left: 2em">
     //   <div>*Number*</div>
     //   <div>*Name*</div>
+    //   <div>*Name* <b><code>(</code></b> *Expr* ( <b><code>,</code></b> *Expr* )<sup>\*</sup> <b><code>)</code></b></div>
     //   <div><b><code>(</code></b> *Expr* <b><code>)</code></b></div>
     //  </div>
     // </div>
     function parsePrimaryExpr() {
+        var first = here();
         var t = peek();
 
-        if (isNumber(t)) {
+        if (isNumber(first)) {
             consume(t);
-            return {type: "number", value: t};
-        } else if (isName(t)) {
+            return withLoc({type: "number", value: t}, first);
+        } else if (isName(first)) {
             consume(t);
-            return {type: "name", id: t};
+            if (peek() !== "(")
+                return withLoc({type: "name", id: t}, first);
+
+            var open = here();
+            consume("(");
+            var args = [parseExpr()];
+            while (peek() === ",") {
+                consume(",");
+                args.push(parseExpr());
+            }
+            closeParen(open, "expected , or )");
+            return withLoc({type: "call", id: t, args: args}, first);
         } else if (t === "(") {
             consume(t);
             var expr = parseExpr();
-            if (peek() !== ")")
-                throw new SyntaxError("expected )");
-            consume(")");
+            closeParen(first, "expected )");
             return expr;
         } else {
-            // If we get here, the next token doesn’t match any of the three
-            // rules. So it’s an error.
-            throw new SyntaxError("expected a number, a variable, or parentheses");
+            // If we get here, the next token doesn’t match any of the four
+            // rules. So it’s an error. To recover, pretend the missing operand
+            // was there; whatever comes next, like the second `*` in `2 * * 3`,
+            // may still make sense.
+            var err = errorAt(SyntaxError, "expected a number, a variable, or parentheses", here());
+            fail(err);
+            return errorNode(err, position);
         }
     }
 
+    // Operators are where the operator table comes in. The technique here is
+    // called *Pratt parsing*, or *precedence climbing*, and it is simpler
+    // than it looks.
+    //
+    // `parseOperatorExpr(minPrecedence)` parses an operand, then keeps
+    // gobbling up operators and more operands for as long as it finds
+    // operators with a precedence of at least `minPrecedence`. The operand
+    // to the right of an infix operator is parsed by a recursive call that
+    // only accepts operators that bind more tightly. So in `1 * 2 + 3`, when
+    // we get to `*`, the recursive call parses just `2`, and stops at `+`.
+    // Then the outer loop gets `+`, and builds `(1 * 2) + 3`. In `1 + 2 * 3`,
+    // the recursive call for the right-hand side of `+` parses all of
+    // `2 * 3`.
+    //
+    // For a right-associative operator, the recursive call also accepts
+    // operators of the same precedence, so `2^3^2` is `2^(3^2)`.
+    //
+    // Prefix operators work the same way: the operand of `-` is parsed with a
+    // minimum precedence of 70, so `-2^2` negates `2^2`, but `-2 * 3` only
+    // negates the `2`. And since a prefix operator can appear anywhere an
+    // operand can, `2^-1` and `2 * -x` work too.
+    //
+    // In the grammar, *PrefixOp*, *InfixOp*, and *PostfixOp* are the
+    // operators in the table, and the table decides which way an ambiguous
+    // input like `1 - 2 - 3` is grouped.
+    //
     // <div style="margin-left: 2em; margin-bottom: 1em">
-    //  *MulExpr* **:**
+    //  *OperatorExpr* **:**
     //  <div style="margin-left: 2em">
-    //   <div>*PrimaryExpr* ( <b><code>\*</code></b> *PrimaryExpr* | <b><code>/</code></b> *PrimaryExpr* )<sup>\*</sup></div>
+    //   <div>*PrimaryExpr*</div>
+    //   <div>*PrefixOp* *OperatorExpr*</div>
+    //   <div>*OperatorExpr* *InfixOp* *OperatorExpr*</div>
+    //   <div>*OperatorExpr* *PostfixOp*</div>
+    //   <div>*OperatorExpr* *OperatorExpr*</div>
     //  </div>
     // </div>
-    function parseMulExpr() {
-        var expr = parsePrimaryExpr();
-        var t = peek();
-        while (t === "*" || t === "/") {
-            consume(t);
-            var rhs = parsePrimaryExpr();
-            expr = {type: t, left: expr, right: rhs};
-            t = peek();
+    //
+    // The last rule is implicit multiplication. The second operand there
+    // has to start with a name or `(`: `2 3` is an error, and `2 -x` is a
+    // subtraction. (And `f(x)` is a function call, even if `f` is a
+    // variable.) The parser builds the same `*` node as for `2*x`, but adds
+    // `implicit: true`, so that back ends that display the code can show it
+    // the way it was written.
+    function parseOperatorExpr(minPrecedence) {
+        var first = here();
+        var op = lookupOperator(first, "prefix");
+        var expr;
+        if (op !== undefined) {
+            consume(first.value);
+            var operand = parseOperatorExpr(op.precedence);
+            expr = withLoc({type: op.type, operand: operand}, first);
+        } else {
+            expr = parsePrimaryExpr();
+        }
+
+        var nonAssociative = null;  // the last operator, if it doesn’t chain
+        for (;;) {
+            var t = here();
+            var usage;
+            if ((op = lookupOperator(t, "infix")) !== undefined &&
+                (lookupOperator(t, "postfix") === undefined || canStartOperand(tokens[position + 1]))) {
+                usage = "infix";
+            } else if ((op = lookupOperator(t, "postfix")) !== undefined) {
+                usage = "postfix";
+            } else if (isName(t) || peek() === "(") {
+                op = implicitMultiplication;
+                usage = "implicit";
+            } else {
+                break;
+            }
+
+            if (op.precedence < minPrecedence)
+                break;
+            if (nonAssociative !== null && op.precedence === nonAssociative.precedence) {
+                fail(errorAt(SyntaxError,
+                             nonAssociative.chainError || "'" + t.value + "' can't be chained",
+                             t));
+            }
+
+            if (usage === "postfix") {
+                consume(t.value);
+                expr = withLoc({type: op.type, operand: expr}, first);
+            } else {
+                if (usage === "infix")
+                    consume(t.value);
+                var rhs = parseOperatorExpr(op.associativity === "right" ? op.precedence : op.precedence + 1);
+                expr = withLoc(usage === "implicit"
+                               ? {type: op.type, left: expr, right: rhs, implicit: true}
+                               : {type: op.type, left: expr, right: rhs},
+                               first);
+            }
+            nonAssociative = op.associativity === "none" ? op : null;
         }
         return expr;
     }
 
+    // If `token` is an operator that can be used the given way (`"prefix"`,
+    // `"infix"`, or `"postfix"`), return its entry in the operator table.
+    function lookupOperator(token, usage) {
+        if (token === undefined || token.kind === TokenKind.NUMBER || token.kind === TokenKind.NAME)
+            return undefined;
+        var op = operators[token.value];
+        return op === undefined ? undefined : op[usage];
+    }
+
+    // True if `token` can be the start of an operand. This tells whether an
+    // operator that can be either infix or postfix is being used as infix.
+    function canStartOperand(token) {
+        return token !== undefined &&
+            (isNumber(token) || isName(token) || token.value === "(" ||
+             lookupOperator(token, "prefix") !== undefined);
+    }
+
+    // Last, a conditional expression picks one of two values, depending on
+    // whether a test is true. It can be written two ways, JavaScript-style
+    // with `?` and `:`, or spelled out with `if`, `then`, and `else`. They
+    // mean exactly the same thing, and the parser builds the same node for
+    // both.
+    //
+    // The branches can be conditional expressions too, so a chain of cases
+    // like `x < 0 ? -1 : x > 0 ? 1 : 0` works the way you’d hope.
+    //
     // <div style="margin-left: 2em">
     //  *Expr* **:**
     //  <div style="margin-left: 2em">
-    //   <div>*MulExpr* ( <b><code>+</code></b> *MulExpr* | <b><code>-</code></b> *MulExpr* )<sup>\*</sup></div>
+    //   <div>*OperatorExpr*</div>
+    //   <div>*OperatorExpr* <b><code>?</code></b> *Expr* <b><code>:</code></b> *Expr*</div>
+    //   <div><b><code>if</code></b> *Expr* <b><code>then</code></b> *Expr* <b><code>else</code></b> *Expr*</div>
     //  </div>
     // </div>
     function parseExpr() {
-        var expr = parseMulExpr();
-        var t = peek();
-        while (t === "+" || t === "-") {
+        var first = here();
+        var test, consequent;
+        if (peek() === "if") {
+            consume("if");
+            test = parseExpr();
+            expect("then");
+            consequent = parseExpr();
+            expect("else");
+        } else {
+            test = parseOperatorExpr(0);
+            if (peek() !== "?")
+                return test;
+            consume("?");
+            consequent = parseExpr();
+            expect(":");
+        }
+        var alternate = parseExpr();
+        return withLoc({type: "if", test: test, consequent: consequent, alternate: alternate}, first);
+    }
+
+    // Consume the token `t`, which had better be next. (When recovering, if
+    // it isn't, we just carry on as if it were there.)
+    function expect(t) {
+        if (peek() !== t)
+            fail(errorAt(SyntaxError, "expected " + t, here()));
+        else
             consume(t);
-            var rhs = parseMulExpr();
-            expr = {type: t, left: expr, right: rhs};
-            t = peek();
+    }
+
+    // An assignment stores the value of an expression in a variable, so that
+    // later input can use it. A function definition stores the expression
+    // itself, to be evaluated later, each time the function is called. The
+    // word `let` in front of either one is optional.
+    //
+    // Without `let`, we have to look ahead to tell `r = 3` or `f(x) = x * x`
+    // apart from an expression that starts with `r` or `f(x)`.
+    //
+    // <div style="margin-left: 2em">
+    //  *Statement* **:**
+    //  <div style="margin-left: 2em">
+    //   <div><b><code>let</code></b><sup>?</sup> *Name* <b><code>=</code></b> *Expr*</div>
+    //   <div><b><code>let</code></b><sup>?</sup> *Name* <b><code>(</code></b> *Name* ( <b><code>,</code></b> *Name* )<sup>\*</sup> <b><code>)</code></b> <b><code>=</code></b> *Expr*</div>
+    //   <div>*Expr*</div>
+    //  </div>
+    // </div>
+    function parseStatement() {
+        var first = here();
+        if (peek() === "let") {
+            consume("let");
+            if (!isName(here()))
+                throw errorAt(SyntaxError, "expected a name after 'let'", here());
+        } else if (!(isName(first) && (peek(1) === "=" || (peek(1) === "(" && isDefinition())))) {
+            return parseExpr();
         }
-        return expr;
+
+        var id = peek();
+        consume(id);
+        if (peek() === "(")
+            return parseDefinition(first, id);
+
+        if (peek() !== "=")
+            throw errorAt(SyntaxError, "expected =", here());
+        consume("=");
+        var expr = parseExpr();
+        return withLoc({type: "assign", id: id, expr: expr}, first);
     }
 
-    // Now all that remains, really, is to call `parseExpr()` to parse an *Expr*.
-    var result = parseExpr();
+    // Starting at a name followed by `(`, check whether the matching `)` is
+    // followed by `=`.
+    function isDefinition() {
+        var depth = 0;
+        for (var i = position + 1; i < tokens.length; i++) {
+            if (tokens[i].value === "(") {
+                depth++;
+            } else if (tokens[i].value === ")") {
+                depth--;
+                if (depth === 0)
+                    return i + 1 < tokens.length && tokens[i + 1].value === "=";
+            }
+        }
+        return false;
+    }
 
-    // Well, one more thing. Make sure `parseExpr()` consumed *all* the
-    // input. If it didn’t, that means the next token didn’t match any syntax
-    // rule, which is an error.
-    if (position !== tokens.length)
-        throw new SyntaxError("unexpected '" + peek() + "'");
+    // Parse the rest of a function definition, starting with the `(` after
+    // the function’s name. The parameters are just names, not expressions.
+    function parseDefinition(first, id) {
+        var open = here();
+        consume("(");
+        var params = [];
+        do {
+            if (params.length > 0)
+                consume(",");
+            var param = here();
+            if (!isName(param))
+                throw errorAt(SyntaxError, "expected a parameter name", param);
+            if (params.indexOf(param.value) !== -1)
+                throw errorAt(SyntaxError, "duplicate parameter name '" + param.value + "'", param);
+            consume(param.value);
+            params.push(param.value);
+        } while (peek() === ",");
+        closeParen(open, "expected , or )");
 
-    return result;
+        if (peek() !== "=")
+            throw errorAt(SyntaxError, "expected =", here());
+        consume("=");
+        var body = parseExpr();
+        return withLoc({type: "define", id: id, params: params, body: body}, first);
+    }
+
+    // The whole input is a *Program*: one or more statements, separated by
+    // semicolons. (Remember that the scanner turns most line breaks into
+    // semicolons, too.) Extra semicolons, including at the beginning or end,
+    // are allowed and don’t do anything.
+    //
+    // <div style="margin-left: 2em">
+    //  *Program* **:**
+    //  <div style="margin-left: 2em">
+    //   <div>*Statement* ( <b><code>;</code></b> *Statement* )<sup>\*</sup></div>
+    //  </div>
+    // </div>
+    //
+    // Most inputs are just one statement, and in that case we return the
+    // statement itself. Otherwise we return a `program` node, and `body` is
+    // the array of statements.
+    function parseProgram() {
+        var body = [];
+        while (position < tokens.length) {
+            if (peek() === ";") {
+                consume(";");
+                continue;
+            }
+            body.push(parseRecoverableStatement());
+
+            // Make sure the statement ends where it should. If it doesn’t, that
+            // means the next token didn’t match any syntax rule, which is an
+            // error. To recover, skip the rest of the statement.
+            if (position < tokens.length && peek() !== ";") {
+                fail(errorAt(SyntaxError, "unexpected '" + peek() + "'", here()));
+                skipStatement();
+            }
+        }
+
+        if (body.length === 0) {
+            // The input is empty. When recovering, the scanner may already
+            // have said why.
+            if (diagnostics !== undefined && diagnostics.length > 0)
+                return errorNode(diagnostics[0], position);
+            return parseStatement();  // fails with an error about empty input
+        }
+        if (body.length === 1)
+            return body[0];
+        return withLoc({type: "program", body: body}, body[0].loc);
+    }
+
+    // Some mistakes, like `let 2 = 1`, leave the parser with no sensible way
+    // to carry on, so `parseStatement()` always throws for them. When
+    // recovering, we catch the error here and turn the whole statement into
+    // an `error` node.
+    function parseRecoverableStatement() {
+        if (diagnostics === undefined)
+            return parseStatement();
+        var start = position;
+        try {
+            return parseStatement();
+        } catch (err) {
+            if (!(err instanceof SyntaxError) || err.loc === undefined)
+                throw err;
+            fail(err);
+            skipStatement();
+            return errorNode(err, start);
+        }
+    }
+
+    // Now all that remains, really, is to call `parseProgram()`. (When
+    // recovering, the scanner has already reported its errors, so put them
+    // in order with the parser's.)
+    var ast = parseProgram();
+    if (diagnostics !== undefined)
+        diagnostics.sort(function (a, b) { return a.loc.start - b.loc.start; });
+    return ast;
 }
 
 // And test it.
@@ -188,3 +1007,660 @@ assert.deepEqual(
         },
         right: {type: "number", value: "3"}
     });
+
+assert.deepEqual(
+    parse("2 * -x"),
+    {
+        type: "*",
+        left: {type: "number", value: "2"},
+        right: {type: "neg", operand: {type: "name", id: "x"}}
+    });
+assert.deepEqual(
+    parse("- -1 - +2"),
+    {
+        type: "-",
+        left: {type: "neg", operand: {type: "neg", operand: {type: "number", value: "1"}}},
+        right: {type: "pos", operand: {type: "number", value: "2"}}
+    });
+assert.deepEqual(
+    parse("-2^3**x"),
+    {
+        type: "neg",
+        operand: {
+            type: "^",
+            left: {type: "number", value: "2"},
+            right: {
+                type: "^",
+                left: {type: "number", value: "3"},
+                right: {type: "name", id: "x"}
+            }
+        }
+    });
+assert.deepEqual(
+    parse("f(x, 2) * sin(1)"),
+    {
+        type: "*",
+        left: {
+            type: "call",
+            id: "f",
+            args: [{type: "name", id: "x"}, {type: "number", value: "2"}]
+        },
+        right: {type: "call", id: "sin", args: [{type: "number", value: "1"}]}
+    });
+
+// The parser keeps track of where each node came from, which comes in handy
+// for error messages.
+var tree = parse("(1 + 2) / 3");
+assert.deepEqual(tree.loc, {start: 0, end: 11, line: 1, column: 1});
+assert.deepEqual(tree.left.loc, {start: 1, end: 6, line: 1, column: 2});
+assert.deepEqual(tree.right.loc, {start: 10, end: 11, line: 1, column: 11});
+assert.throws(function () { parse("(1 +\n 2 3"); }, function (err) {
+    return err instanceof SyntaxError &&
+        err.message === "expected )" &&
+        err.loc.start === 8 && err.loc.line === 2 && err.loc.column === 4;
+});
+assert.throws(function () { parse("sqrt((1 + 2) 3"); }, function (err) {
+    return err.loc.start === 13 && err.hint.loc.start === 4 && err.hint.loc.end === 5;
+});
+assert.throws(function () { parse("2 *"); }, function (err) {
+    return err.loc.start === 3 && err.loc.end === 3;
+});
+assert.deepEqual(
+    parse("let r = 2 * x"),
+    {
+        type: "assign",
+        id: "r",
+        expr: {
+            type: "*",
+            left: {type: "number", value: "2"},
+            right: {type: "name", id: "x"}
+        }
+    });
+assert.deepEqual(parse("r = 1"), parse("let r = 1"));
+assert.throws(function () { parse("let 2 = 1"); }, SyntaxError);
+assert.throws(function () { parse("1 = 1"); }, SyntaxError);
+assert.deepEqual(
+    parse("f(x, y) = x * y"),
+    {
+        type: "define",
+        id: "f",
+        params: ["x", "y"],
+        body: {
+            type: "*",
+            left: {type: "name", id: "x"},
+            right: {type: "name", id: "y"}
+        }
+    });
+assert.deepEqual(parse("let f(x) = 1"), parse("f(x) = 1"));
+assert.strictEqual(parse("f(x) * 2").type, "*");
+assert.throws(function () { parse("f(x, 2) = 1"); }, SyntaxError);
+assert.throws(function () { parse("f(x, x) = 1"); }, function (err) {
+    return err.loc.start === 5;
+});
+assert.deepEqual(
+    parse("r = 2\nf(x) = r * x; f(3)"),
+    {
+        type: "program",
+        body: [
+            {type: "assign", id: "r", expr: {type: "number", value: "2"}},
+            {
+                type: "define",
+                id: "f",
+                params: ["x"],
+                body: {
+                    type: "*",
+                    left: {type: "name", id: "r"},
+                    right: {type: "name", id: "x"}
+                }
+            },
+            {type: "call", id: "f", args: [{type: "number", value: "3"}]}
+        ]
+    });
+assert.deepEqual(parse(";\n1;;\n"), parse("1"));
+assert.deepEqual(parse("1 +\n2").type, "+");
+assert.deepEqual(parse("1\n+2").body[1], {type: "pos", operand: {type: "number", value: "2"}});
+assert.deepEqual(parse("1; 2\n\n3").loc, {start: 0, end: 7, line: 1, column: 1});
+assert.throws(function () { parse(";"); }, SyntaxError);
+assert.throws(function () { parse("1; 2 3"); }, function (err) {
+    return err.message === "unexpected '3'" && err.loc.start === 5;
+});
+assert.deepEqual(
+    parse("x < 0 or not x >= 1 and y"),
+    {
+        type: "or",
+        left: {type: "<", left: {type: "name", id: "x"}, right: {type: "number", value: "0"}},
+        right: {
+            type: "and",
+            left: {
+                type: "not",
+                operand: {type: ">=", left: {type: "name", id: "x"}, right: {type: "number", value: "1"}}
+            },
+            right: {type: "name", id: "y"}
+        }
+    });
+assert.deepEqual(
+    parse("x < 0 ? -x : x"),
+    {
+        type: "if",
+        test: {type: "<", left: {type: "name", id: "x"}, right: {type: "number", value: "0"}},
+        consequent: {type: "neg", operand: {type: "name", id: "x"}},
+        alternate: {type: "name", id: "x"}
+    });
+assert.deepEqual(parse("if x < 0 then -x else x"), parse("x < 0 ? -x : x"));
+assert.deepEqual(parse("a ? b : c ? d : e").alternate.type, "if");
+assert.deepEqual(parse("f(x) = if x == 1\n    then 2\n    else 3 + x").body.alternate.type, "+");
+assert.throws(function () { parse("0 < x < 1"); }, function (err) {
+    return err.message === "comparisons can't be chained; use 'and'" && err.loc.start === 6;
+});
+assert.throws(function () { parse("if x then 1"); }, function (err) {
+    return err.message === "expected else" && err.loc.start === 11;
+});
+assert.throws(function () { parse("x ? 1"); }, SyntaxError);
+assert.throws(function () { parse("not = 1"); }, SyntaxError);
+assert.deepEqual(
+    parse("2x^2 + 3(x + 1)"),
+    {
+        type: "+",
+        left: {
+            type: "*",
+            left: {type: "number", value: "2"},
+            right: {type: "^", left: {type: "name", id: "x"}, right: {type: "number", value: "2"}},
+            implicit: true
+        },
+        right: {
+            type: "*",
+            left: {type: "number", value: "3"},
+            right: {
+                type: "+",
+                left: {type: "name", id: "x"},
+                right: {type: "number", value: "1"}
+            },
+            implicit: true
+        }
+    });
+assert.deepEqual(
+    parse("1/2pi r"),
+    {
+        type: "/",
+        left: {type: "number", value: "1"},
+        right: {
+            type: "*",
+            left: {
+                type: "*",
+                left: {type: "number", value: "2"},
+                right: {type: "name", id: "pi"},
+                implicit: true
+            },
+            right: {type: "name", id: "r"},
+            implicit: true
+        }
+    });
+assert.deepEqual(
+    parse("(a)(b)"),
+    {type: "*", left: {type: "name", id: "a"}, right: {type: "name", id: "b"}, implicit: true});
+assert.deepEqual(parse("2 * x"), {type: "*", left: {type: "number", value: "2"}, right: {type: "name", id: "x"}});
+assert.strictEqual(parse("-2x").type, "*");
+assert.strictEqual(parse("2 sin(x)").right.type, "call");
+assert.strictEqual(parse("f(x) = 3x").body.implicit, true);
+assert.strictEqual(parse("2 -x").type, "-");
+assert.deepEqual(parse("2x").loc, {start: 0, end: 2, line: 1, column: 1});
+assert.throws(function () { parse("2 3"); }, function (err) {
+    return err.message === "unexpected '3'";
+});
+
+// Operators that other code registers work just like the built-in ones.
+// (We remove these again afterward, so they don't become part of the
+// language.)
+try {
+    registerOperator("<>", {infix: {type: "<>", precedence: 40, associativity: "none"}});
+    registerOperator("mod", {infix: {type: "mod", precedence: 60, associativity: "left"}});
+    registerOperator("'", {postfix: {type: "prime", precedence: 90}, aliases: ["\u2032"]});
+    assert.deepEqual(
+        parse("a <> b mod 2 + 1"),
+        {
+            type: "<>",
+            left: {type: "name", id: "a"},
+            right: {
+                type: "+",
+                left: {type: "mod", left: {type: "name", id: "b"}, right: {type: "number", value: "2"}},
+                right: {type: "number", value: "1"}
+            }
+        });
+    assert.deepEqual(
+        parse("-f''^2"),
+        {
+            type: "neg",
+            operand: {
+                type: "^",
+                left: {type: "prime", operand: {type: "prime", operand: {type: "name", id: "f"}}},
+                right: {type: "number", value: "2"}
+            }
+        });
+    assert.deepEqual(parse("f\u2032 * x"), parse("f' * x"));
+    assert.strictEqual(parse("f' * x").left.loc.end, 2);
+    assert.throws(function () { parse("a <> b <> c"); }, function (err) {
+        return err.message === "'<>' can't be chained" && err.loc.start === 7;
+    });
+    assert.throws(function () { parse("mod = 1"); }, SyntaxError);
+    assert.strictEqual(operatorSymbol("mod"), "mod");
+} finally {
+    unregisterOperator("<>");
+    unregisterOperator("mod");
+    unregisterOperator("'");
+}
+assert.strictEqual(keywords.indexOf("mod"), -1);
+assert.strictEqual(operatorSpellings["\u2032"], undefined);
+assert.throws(function () { tokenize("f\u2032"); }, SyntaxError);
+assert.throws(function () { parse("a <> b"); }, SyntaxError);
+assert.strictEqual(operatorSymbol("neg"), "-");
+
+assert.deepEqual(
+    parse("n!/(k!(n-k)!)"),
+    {
+        type: "/",
+        left: {type: "factorial", operand: {type: "name", id: "n"}},
+        right: {
+            type: "*",
+            left: {type: "factorial", operand: {type: "name", id: "k"}},
+            right: {
+                type: "factorial",
+                operand: {type: "-", left: {type: "name", id: "n"}, right: {type: "name", id: "k"}}
+            },
+            implicit: true
+        }
+    });
+assert.deepEqual(
+    parse("200 * 15%"),
+    {
+        type: "*",
+        left: {type: "number", value: "200"},
+        right: {type: "percent", operand: {type: "number", value: "15"}}
+    });
+assert.strictEqual(parse("2^3!").right.type, "factorial");
+assert.strictEqual(parse("-3!").type, "neg");
+assert.strictEqual(parse("n! != 1").type, "!=");
+assert.deepEqual(tokenValues("3!\n4%\n5"), ["3", "!", ";", "4", "%", ";", "5"]);
+assert.deepEqual(parse("# square\nf(x) = x * x  // of x\nf(3) /* = 9 */"),
+                 parse("f(x) = x * x; f(3)"));
+
+
+// ### Error recovery
+//
+// Usually it’s best for the parser to stop at the first syntax error. But
+// when someone has typed a long program, it’s friendlier to point out every
+// mistake at once, rather than making them fix one, try again, and find the
+// next. So if you pass `parse` an array of `diagnostics`, it collects the
+// errors there instead of throwing, and returns whatever tree it could build.
+//
+// A few rules keep the parser going:
+//
+// *   Where an operand is missing, as in `2 * * 3` or `(1 + )`, it puts in an
+//     `error` node and carries on.
+// *   Where a `)` is missing, it skips ahead to the `)` if there is one, and
+//     otherwise pretends it was there.
+// *   A missing `then`, `else`, or `:` is taken as read.
+// *   If a statement is followed by something that doesn’t fit, like the
+//     second `)` in `(1 + 2))`, the rest of that statement is skipped.
+// *   If a statement can’t be parsed at all, like `let 2 = 1`, the whole
+//     statement becomes an `error` node.
+//
+// Every `error` node has a `message` and a `loc`, like any other node. Only
+// the back ends that show the tree itself know what to do with them.
+function recoverTest(code) {
+    var diagnostics = [];
+    var ast = parse(code, diagnostics);
+    return {
+        ast: ast,
+        messages: diagnostics.map(function (err) { return err.loc.start + ": " + err.message; })
+    };
+}
+
+var noOperand = "expected a number, a variable, or parentheses";
+assert.deepEqual(recoverTest("(1 + 2) / 3"), {ast: parse("(1 + 2) / 3"), messages: []});
+assert.deepEqual(
+    recoverTest("2 * * 3"),
+    {
+        ast: {
+            type: "*",
+            left: {type: "*", left: {type: "number", value: "2"}, right: {type: "error", message: noOperand}},
+            right: {type: "number", value: "3"}
+        },
+        messages: ["4: " + noOperand]
+    });
+assert.deepEqual(recoverTest("(1 + 2 3) * 4").ast, parse("(1 + 2) * 4"));
+assert.deepEqual(recoverTest("(1 + 2 3) * 4").messages, ["7: expected )"]);
+assert.deepEqual(recoverTest("sqrt(x + 1").ast, parse("sqrt(x + 1)"));
+assert.strictEqual(recoverTest("sqrt(x + 1").ast.loc.end, 10);
+assert.deepEqual(recoverTest("if x then 1").messages, ["11: expected else"]);
+assert.strictEqual(recoverTest("if x then 1").ast.alternate.type, "error");
+assert.deepEqual(recoverTest("0 < x < 1").ast, parse("(0 < x) < 1"));
+
+// All the errors in a program are reported, not just the first.
+(function () {
+    var code = "a = 1 + 2\nlet 3 = c\nf(x, x) = x\n(1 + 2))\n4 $ 5";
+    var result = recoverTest(code);
+    assert.deepEqual(result.messages, [
+        "14: expected a name after 'let'",
+        "25: duplicate parameter name 'x'",
+        "39: unexpected ')'",
+        "43: unexpected character '$'",
+        "45: unexpected '5'"
+    ]);
+    assert.deepEqual(result.ast.body.map(function (stmt) { return stmt.type; }),
+                     ["assign", "error", "error", "+", "number"]);
+    assert.strictEqual(code.slice(result.ast.body[1].loc.start, result.ast.body[1].loc.end), "let 3 = c");
+})();
+assert.deepEqual(recoverTest("1 + /* oops").messages, ["4: unterminated comment", "11: " + noOperand]);
+assert.deepEqual(recoverTest(""), {ast: {type: "error", message: noOperand}, messages: ["0: " + noOperand]});
+
+
+// ## Part Three – Other notations
+//
+// Our calculator language writes operators between their operands, the way
+// people do on paper. That’s called *infix* notation. But it isn’t the only
+// way. Lisp puts every operator first, and wraps each operation in
+// parentheses:
+//
+//     (+ 1 (* 2 3))
+//
+// Some calculators, like the old HP ones, put every operator *last*. This is
+// called *Reverse Polish Notation*, or RPN:
+//
+//     1 2 3 * +
+//
+// All three mean the same thing, and they can all be read into the same
+// tree. Here are two more parsers, one for each notation. They build
+// exactly the same kind of nodes `parse` does, with `loc`s pointing into
+// the input, so every back end works with them too.
+
+// `spanning(node, first, last)` gives `node` a `loc` running from the start
+// of `first` to the end of `last`, and returns it. (`first` and `last` can
+// be tokens, or `loc`s.)
+function spanning(node, first, last) {
+    Object.defineProperty(node, "loc", {
+        value: {start: first.start, end: last.end, line: first.line, column: first.column},
+        writable: true,
+        configurable: true
+    });
+    return node;
+}
+
+// Build the node for the operator `symbol` applied to an array of
+// `operands`. With one operand, that means the operator’s prefix or postfix
+// form; with two or more, its infix form. More than two, like
+// `(+ 1 2 3)`, means the same as using the operator repeatedly, grouped the
+// way its associativity says: `1 + 2 + 3`.
+function applyOperator(symbol, operands, where) {
+    var entry = operators[symbol];
+    var unary = entry.prefix || entry.postfix;
+    if (operands.length === 1 && unary !== undefined)
+        return spanning({type: unary.type, operand: operands[0]}, where, where);
+
+    var op = entry.infix;
+    if (op === undefined || operands.length < 2)
+        throw errorAt(SyntaxError, "wrong number of operands for '" + symbol + "'", where);
+    if (operands.length > 2 && op.associativity === "none")
+        throw errorAt(SyntaxError, op.chainError || "'" + symbol + "' can't be chained", where);
+    var node, i;
+    if (op.associativity === "right") {
+        node = operands[operands.length - 1];
+        for (i = operands.length - 2; i >= 0; i--)
+            node = spanning({type: op.type, left: operands[i], right: node}, where, where);
+    } else {
+        node = operands[0];
+        for (i = 1; i < operands.length; i++)
+            node = spanning({type: op.type, left: node, right: operands[i]}, where, where);
+    }
+    return node;
+}
+
+// In both notations, an assignment and a function definition look alike:
+// the thing being set is either a name, like `r`, or what looks like a call
+// whose arguments are all names, like `f(x, y)`.
+function makeAssignment(target, expr, where) {
+    if (target.type === "name")
+        return spanning({type: "assign", id: target.id, expr: expr}, where, where);
+    if (target.type !== "call" || !target.args.every(function (arg) { return arg.type === "name"; }))
+        throw errorAt(SyntaxError, "only a name or a function with named parameters can be set", target.loc);
+
+    var params = [];
+    target.args.forEach(function (arg) {
+        if (params.indexOf(arg.id) !== -1)
+            throw errorAt(SyntaxError, "duplicate parameter name '" + arg.id + "'", arg.loc);
+        params.push(arg.id);
+    });
+    return spanning({type: "define", id: target.id, params: params, body: expr}, where, where);
+}
+
+// As with `parse`, one statement is returned as is, and several are wrapped
+// in a `program` node.
+function programOf(statements) {
+    if (statements.length === 1)
+        return statements[0];
+    return spanning({type: "program", body: statements},
+                    statements[0].loc, statements[statements.length - 1].loc);
+}
+
+// ### S-expressions
+//
+// In Lisp notation, each list starts with what to do: an operator, `if`, a
+// function name, or `define`, which sets a variable or defines a function.
+//
+// <div style="margin-left: 2em">
+//  *SExpr* **:**
+//  <div style="margin-left: 2em">
+//   <div>*Number*</div>
+//   <div>*Name*</div>
+//   <div><b><code>(</code></b> *Operator* *SExpr*<sup>+</sup> <b><code>)</code></b></div>
+//   <div><b><code>(</code></b> <b><code>if</code></b> *SExpr* *SExpr* *SExpr* <b><code>)</code></b></div>
+//   <div><b><code>(</code></b> *Name* *SExpr*<sup>+</sup> <b><code>)</code></b></div>
+//  </div>
+//  *Statement* **:**
+//  <div style="margin-left: 2em">
+//   <div>*SExpr*</div>
+//   <div><b><code>(</code></b> <b><code>define</code></b> *Name* *SExpr* <b><code>)</code></b></div>
+//   <div><b><code>(</code></b> <b><code>define</code></b> <b><code>(</code></b> *Name* *Name*<sup>+</sup> <b><code>)</code></b> *SExpr* <b><code>)</code></b></div>
+//  </div>
+// </div>
+//
+// A program is any number of statements, one after another. An operator with
+// one operand is its prefix or postfix form, so `(- x)` is −*x*, and
+// `(! n)` is *n*!.
+//
+// The tokens are the same as in the calculator language, so we can use the
+// same scanner. Line breaks don’t mean anything here, though, so we drop
+// the `;` tokens it adds for them.
+function parseSExpr(code) {
+    var tokens = tokenize(code).filter(function (t) { return t.value !== ";"; });
+    var position = 0;
+
+    function here() {
+        return position < tokens.length ? tokens[position] : locate(code, code.length, code.length);
+    }
+
+    function parseList(topLevel) {
+        var first = here();
+        if (position === tokens.length)
+            throw errorAt(SyntaxError, "expected a number, a name, or (", first);
+        position++;
+        if (isNumber(first))
+            return spanning({type: "number", value: first.value}, first, first);
+        if (isName(first))
+            return spanning({type: "name", id: first.value}, first, first);
+        if (first.value !== "(")
+            throw errorAt(SyntaxError, "unexpected '" + first.value + "'", first);
+
+        var head = here();
+        if (position === tokens.length || head.value === "(" || head.value === ")" || isNumber(head))
+            throw errorAt(SyntaxError, "expected an operator or a function name after (", head);
+        position++;
+        var args = [];
+        while (position < tokens.length && here().value !== ")")
+            args.push(parseList(false));
+        if (position === tokens.length) {
+            var err = errorAt(SyntaxError, "expected )", here());
+            err.hint = {
+                message: "did you forget a closing parenthesis opened here?",
+                loc: locate(code, first.start, first.end)
+            };
+            throw err;
+        }
+        var last = here();
+        position++;
+
+        var where = spanning({}, first, last).loc;
+        if (head.value === "if") {
+            if (args.length !== 3)
+                throw errorAt(SyntaxError, "(if ...) needs a test and two branches", where);
+            return spanning({type: "if", test: args[0], consequent: args[1], alternate: args[2]}, first, last);
+        }
+        if (head.value === "define") {
+            if (!topLevel)
+                throw errorAt(SyntaxError, "define only works at the top level", where);
+            if (args.length !== 2)
+                throw errorAt(SyntaxError, "(define ...) needs a name and a value", where);
+            return makeAssignment(args[0], args[1], where);
+        }
+        if (!isName(head) && head.value in operators)
+            return applyOperator(head.value, args, where);
+        if (isName(head)) {
+            if (args.length === 0)
+                throw errorAt(SyntaxError, "a function call needs at least one argument", where);
+            return spanning({type: "call", id: head.value, args: args}, first, last);
+        }
+        throw errorAt(SyntaxError, "unexpected '" + head.value + "'", head);
+    }
+
+    var statements = [parseList(true)];
+    while (position < tokens.length)
+        statements.push(parseList(true));
+    return programOf(statements);
+}
+
+// Every kind of node comes out the same as it would from `parse`.
+assert.deepEqual(parseSExpr("(+ 1 (* 2 3))"), parse("1 + 2 * 3"));
+assert.deepEqual(parseSExpr("(- (- x) (+ y))"), parse("-x - +y"));
+assert.deepEqual(parseSExpr("(/ (! n) (% 15) (^ 2 3 4))"), parse("n! / 15% / 2^3^4"));
+assert.deepEqual(parseSExpr("(if (and (<= 0 x) (not (== x 1))) (sqrt x) 0)"),
+                 parse("if 0 <= x and not x == 1 then sqrt(x) else 0"));
+assert.deepEqual(parseSExpr("(define (f x y) (max x y)) # comments work\n(define r (f 0xff 2))\nr"),
+                 parse("f(x, y) = max(x, y); r = f(0xff, 2); r"));
+assert.deepEqual(parseSExpr("(× 2 3)"), parse("2 * 3"));
+assert.strictEqual(parseSExpr("x\n(* 2 x)").body[1].loc.start, 2);
+assert.throws(function () { parseSExpr(""); }, /expected a number, a name, or \(/);
+assert.throws(function () { parseSExpr("(+ 1 2"); }, /expected \)/);
+assert.throws(function () { parseSExpr("(< 1 2 3)"); }, /can't be chained/);
+assert.throws(function () { parseSExpr("(! 1 2)"); }, /wrong number of operands for '!'/);
+assert.throws(function () { parseSExpr("(+ 1 (define x 2))"); }, /top level/);
+assert.throws(function () { parseSExpr("(define (f x x) 1)"); }, /duplicate parameter/);
+assert.throws(function () { parseSExpr("(f)"); }, /at least one argument/);
+assert.throws(function () { parseSExpr("(2 3)"); }, /expected an operator or a function name/);
+assert.throws(function () { parseSExpr("1 )"); }, /unexpected '\)'/);
+
+// ### Reverse Polish Notation
+//
+// RPN is even simpler to read, because it needs no grammar, just a stack.
+// Each word of the input is one of these:
+//
+// *   A number or a name, which is pushed onto the stack.
+// *   An operator, which pops its operands off the stack and pushes the
+//     result. Operators with an infix form take two operands, so `-` is
+//     always subtraction. For the one-operand forms of `-` and `+`, use the
+//     words `neg` and `pos`.
+// *   `if`, which pops a test and two branches.
+// *   A function call, written with the number of arguments, like `max/2`.
+//     (This is how Prolog and Erlang name functions.)
+// *   `=`, which pops a value and the name to set, as in `r 3 =`. To define
+//     a function, the name is a call: `x y f/2 x y * =` means
+//     `f(x, y) = x * y`. Nothing can come after the `=` in a statement.
+//
+// A statement ends at a `;` or a line break, and it must leave exactly one
+// thing on the stack. Comments start with `#` and run to the end of the line.
+function parseRPN(code) {
+    var statements = [];
+    var stack = [];
+    var assigned = false;  // true once the current statement has had its `=`
+    var wordPattern = /#.*|;|\n|[^\s;]+/g;
+    var m;
+
+    function pop(n, word, loc) {
+        if (stack.length < n)
+            throw errorAt(SyntaxError, "not enough values on the stack for '" + word + "'", loc);
+        return stack.splice(stack.length - n, n);
+    }
+
+    function endStatement() {
+        if (stack.length > 1) {
+            throw errorAt(SyntaxError,
+                          "this statement leaves " + stack.length + " values on the stack; it should leave one",
+                          stack[1].loc);
+        }
+        if (stack.length === 1)
+            statements.push(stack.pop());
+        assigned = false;
+    }
+
+    while ((m = wordPattern.exec(code)) !== null) {
+        var word = m[0], loc = locate(code, m.index, m.index + word.length);
+        if (word[0] === "#")
+            continue;
+        if (word === ";" || word === "\n") {
+            endStatement();
+            continue;
+        }
+        if (assigned)
+            throw errorAt(SyntaxError, "nothing can come after '=' in a statement", loc);
+
+        var number = numberPattern.exec(word), call = /^([A-Za-z]+)\/([0-9]+)$/.exec(word);
+        var symbol = operatorSpellings[word] || (word in operators ? word : undefined);
+        var args;
+        if (number !== null && number[0] === word) {
+            stack.push(spanning({type: "number", value: word}, loc, loc));
+        } else if (call !== null && Number(call[2]) > 0) {
+            args = pop(Number(call[2]), word, loc);
+            stack.push(spanning({type: "call", id: call[1], args: args}, args[0].loc, loc));
+        } else if (word === "=") {
+            args = pop(2, word, loc);
+            stack.push(makeAssignment(args[0], args[1], spanning({}, args[0].loc, loc).loc));
+            assigned = true;
+        } else if (word === "if") {
+            args = pop(3, word, loc);
+            stack.push(spanning({type: "if", test: args[0], consequent: args[1], alternate: args[2]},
+                                args[0].loc, loc));
+        } else if (symbol !== undefined) {
+            args = pop(operators[symbol].infix ? 2 : 1, word, loc);
+            stack.push(applyOperator(symbol, args, spanning({}, args[0].loc, loc).loc));
+        } else if (operatorSymbol(word) !== word) {
+            // The name of a one-operand node type, like `neg`.
+            args = pop(1, word, loc);
+            stack.push(applyOperator(operatorSymbol(word), args, spanning({}, args[0].loc, loc).loc));
+        } else if (/^[A-Za-z]+$/.test(word) && keywords.indexOf(word) === -1) {
+            stack.push(spanning({type: "name", id: word}, loc, loc));
+        } else {
+            throw errorAt(SyntaxError, "unknown word '" + word + "'", loc);
+        }
+    }
+    endStatement();
+
+    if (statements.length === 0)
+        throw errorAt(SyntaxError, "expected a number or a name", locate(code, code.length, code.length));
+    return programOf(statements);
+}
+
+assert.deepEqual(parseRPN("1 2 3 * +"), parse("1 + 2 * 3"));
+assert.deepEqual(parseRPN("x neg y pos -"), parse("-x - +y"));
+assert.deepEqual(parseRPN("n ! 15 % / 2 3 4 ^ ^ /"), parse("n! / 15% / 2^3^4"));
+assert.deepEqual(parseRPN("0 x <= x 1 == not and x sqrt/1 0 if"),
+                 parse("if 0 <= x and not x == 1 then sqrt(x) else 0"));
+assert.deepEqual(parseRPN("x y f/2 x y max/2 =\nr 0xff 2 f/2 =; r"),
+                 parse("f(x, y) = max(x, y); r = f(0xff, 2); r"));
+assert.deepEqual(parseRPN("# area\n3 r 2 ^ * # circle"), parse("3 * r^2"));
+assert.deepEqual(parseRPN("2 3 ×"), parse("2 * 3"));
+assert.deepEqual(parseRPN("1 2 -").loc, {start: 0, end: 5, line: 1, column: 1});
+assert.throws(function () { parseRPN(""); }, /expected a number or a name/);
+assert.throws(function () { parseRPN("1 +"); }, /not enough values on the stack for '\+'/);
+assert.throws(function () { parseRPN("1 2"); }, /leaves 2 values/);
+assert.throws(function () { parseRPN("r 1 = 2 +"); }, /after '='/);
+assert.throws(function () { parseRPN("1 2 ="); }, /only a name/);
+assert.throws(function () { parseRPN("1 $"); }, /unknown word '\$'/);
+assert.throws(function () { parseRPN("1 then"); }, /unknown word 'then'/);
@@ -40,7 +40,7 @@ function init() {
     var radios = document.getElementsByTagName("input");
     for (var i = 0; i < radios.length; i++) {
         var e = radios[i];
-        if (e.type == "radio") {
+        if (e.type == "radio" && e.name == "mode") {
             e.addEventListener("click", function () {
                 setMode(this.value);
                 setTimeout(refocus, 0);
@@ -48,6 +48,20 @@ function init() {
             });
             if (e.value == 'calc')
                 e.checked = true;
+        } else if (e.type == "radio" && e.name == "notation") {
+            e.addEventListener("click", function () {
+                notation = this.value;
+                setTimeout(refocus, 0);
+                return true;
+            });
+            e.checked = (e.value == notation);
+        } else if (e.type == "checkbox" && e.id == "wasm") {
+            e.addEventListener("click", function () {
+                useWebAssembly = this.checked;
+                setTimeout(refocus, 0);
+                return true;
+            });
+            e.checked = useWebAssembly;
         }
     }
 }
@@ -214,14 +228,64 @@ function printAnswer(a) {
         println(a, "normalOutput");
 }
 
-function printError(er) {
+// Show a button that copies `text` to the clipboard, for pasting formulas
+// into papers and slides. Older browsers don't have `navigator.clipboard`,
+// and it refuses on pages that aren't served securely, but browsers can
+// still copy whatever is selected in a text box.
+function printCopyButton(label, text) {
+    function copyFromTextBox() {
+        var area = document.createElement("textarea");
+        area.value = text;
+        document.body.appendChild(area);
+        area.select();
+        document.execCommand("copy");
+        document.body.removeChild(area);
+    }
+
+    var button = document.createElement("button");
+    button.appendChild(document.createTextNode(label));
+    button.addEventListener("click", function () {
+        if (navigator.clipboard && navigator.clipboard.writeText)
+            navigator.clipboard.writeText(text).catch(copyFromTextBox);
+        else
+            copyFromTextBox();
+        refocus();
+    });
+    writeNode("copyButton", button);
+}
+
+// Show the line of `source` that contains `loc`, with carets underneath the
+// part that `loc` covers, followed by `label`, if any:
+//
+//     sqrt((1 + 2) 3
+//                  ^ expected , or )
+//
+function underlineSource(source, loc, label) {
+    var line = source.split("\n")[loc.line - 1];
+    var lineStart = loc.start - (loc.column - 1);
+    var width = Math.max(1, Math.min(loc.end, lineStart + line.length) - loc.start);
+    var indent = line.slice(0, loc.column - 1).replace(/[^\t]/g, " "); // keep tabs, so the carets line up
+    return line + "\n" + indent + new Array(width + 1).join("^") + (label ? " " + label : "");
+}
+
+// `source`, if given, is the code that caused the error. Errors in calculator
+// code know where in `source` the problem is, so we can show the user.
+function printError(er, source) {
     var lineNumberString;
 
     lastError = er; // for debugging the shell
     if (er.name) {
         // lineNumberString should not be "", to avoid a very wacky bug in IE 6.
-        lineNumberString = (er.lineNumber != undefined) ? (" on line " + er.lineNumber + ": ") : ": ";
+        if (er.loc) // errors in calculator code know where in the input they are
+            lineNumberString = " on line " + er.loc.line + ", column " + er.loc.column + ": ";
+        else
+            lineNumberString = (er.lineNumber != undefined) ? (" on line " + er.lineNumber + ": ") : ": ";
         println(er.name + lineNumberString + er.message, "error"); // Because IE doesn't have error.toString.
+        if (er.loc && source !== undefined) {
+            println(underlineSource(source, er.loc), "errorSource");
+            if (er.hint)
+                println(underlineSource(source, er.hint.loc, er.hint.message), "errorSource");
+        }
     } else {
         println(er, "error"); // Because security errors in Moz /only/ have toString.
     }
@@ -319,11 +383,46 @@ function showComplexPlot(fn) {
 
 var mode = 'calc';
 
+// The user can also type code in Lisp notation or RPN. That gets parsed
+// into a tree first, and all the back ends accept a tree instead of code.
+var notation = 'infix';
+var notationParsers = {
+    infix: function (code) { return code; },
+    sexpr: parseSExpr,
+    rpn: parseRPN
+};
+
+// Graph mode and complex mode can compile to WebAssembly instead of JS.
+// Then the function to plot arrives later, as a promise. By then the user
+// may have typed something else, so we count inputs, and drop a plot that
+// arrives after a newer input.
+var useWebAssembly = false;
+var inputCount = 0;
+
+function whenCompiled(result, source, plot) {
+    if (!(result instanceof Promise)) {
+        plot(result);
+        return;
+    }
+    var thisInput = inputCount;
+    result.then(function (fn) {
+        if (thisInput === inputCount)
+            plot(fn);
+    }).catch(function (exc) {
+        if (thisInput === inputCount)
+            printError(exc, source);
+    });
+}
+
+// Variables the user sets stick around for the rest of the session.
+var environment = new Environment();
+
 function go() {
     question = _in.value;
 
     if (question == "")
         return;
+    inputCount++;
 
     histList[histList.length-1] = question;
     histList[histList.length] = "";
@@ -342,38 +441,83 @@ function go() {
         initTarget(); // silent
 
     try {
-        var result = parseModes[mode](question);
+        // The JSON and Scratch modes show as much of the tree as they can,
+        // even when there are syntax errors, and report the errors
+        // afterwards. The other modes just throw the first one.
+        var diagnostics = [];
+        var input = notationParsers[notation](question);
+        var backEnd = parseModes[mode];
+        if (useWebAssembly && mode in webAssemblyModes)
+            backEnd = webAssemblyModes[mode];
+        var result = mode == 'json' || mode == 'blocks'
+                     ? backEnd(input, environment, diagnostics)
+                     : backEnd(input, environment);
         switch (mode) {
         case 'json':
             Shell.printAnswer(JSON.stringify(result, undefined, "    "));
             break;
 
+        case 'format':
+        case 'sexpr':
+        case 'rpn':
+            Shell.printAnswer(result);
+            break;
+
         case 'blocks':
             writeNode("normalOutput", result);
             break;
 
         case 'mathml':
             writeNode("normalOutput", result.element);
+            printCopyButton("copy as LaTeX", convertToLaTeX(input));
             break;
 
-        case 'calc':
+        case 'latex':
             Shell.printAnswer(result);
+            printCopyButton("copy as LaTeX", result);
             break;
 
+        case 'tree':
+            writeNode("normalOutput", result);
+            printCopyButton("copy as DOT", convertToDOT(input));
+            break;
+
+        case 'calc':
         case 'fraction':
-            Shell.printAnswer(result);
+            // A program with several statements has an answer for each one.
+            var answers = Array.isArray(result) ? result : [result];
+            for (var i = 0; i < answers.length; i++)
+                Shell.printAnswer(answers[i]);
             break;
 
         case 'graph':
-            showPlot(result);
+            if (result !== undefined) // defining a function doesn't plot anything
+                whenCompiled(result, question, showPlot);
             break;
 
         case 'complex':
-            showComplexPlot(result);
+            if (result !== undefined)
+                whenCompiled(result, question, showComplexPlot);
+            break;
+
+        case 'bytecode':
+            // Show the compiled code, then run it.
+            println(disassemble(result), "bytecode");
+            var answers = runBytecode(result, environment);
+            for (var i = 0; i < answers.length; i++)
+                Shell.printAnswer(answers[i]);
+            break;
+
+        case 'step':
+            println(result.trace, "bytecode");
+            for (var i = 0; i < result.answers.length; i++)
+                Shell.printAnswer(result.answers[i]);
             break;
         }
+        for (var i = 0; i < diagnostics.length; i++)
+            Shell.printError(diagnostics[i], question);
     } catch (exc) {
-        Shell.printError(exc);
+        Shell.printError(exc, question);
     }
     setTimeout(Shell.refocus, 0);
 }